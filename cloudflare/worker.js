@@ -3,6 +3,11 @@
  * OpenAI-compatible API with D1 conversation storage
  */
 
+import { parseYouStream, getAnswerIncrement, STREAM_EVENTS } from '../lib/stream-parser.js';
+import { extractSources, toOpenAIAnnotations, toAnthropicCitations } from '../lib/sources.js';
+import { validateRequestBody, createErrorBody, parseByteSize, getErrorFormat } from '../lib/request-validation.js';
+import { CHAT_COMPLETION_SCHEMA, ANTHROPIC_MESSAGES_SCHEMA } from '../lib/request-schemas.js';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -11,22 +16,26 @@ export default {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, anthropic-version',
     };
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
 
-    // Auth check (setup page uses query string token)
+    // Auth check (setup page uses query string token, Anthropic SDKs send x-api-key)
     const authHeader = request.headers.get('Authorization');
     const queryToken = url.searchParams.get('token');
     const isSetupPage = url.pathname === '/setup';
+    const isAnthropicRoute = url.pathname === '/v1/messages';
     
     if (env.ACCESS_TOKEN) {
-      const validAuth = authHeader === `Bearer ${env.ACCESS_TOKEN}` || queryToken === env.ACCESS_TOKEN;
+      const validAuth = authHeader === `Bearer ${env.ACCESS_TOKEN}` || queryToken === env.ACCESS_TOKEN ||
+        (isAnthropicRoute && request.headers.get('x-api-key') === env.ACCESS_TOKEN);
       if (!validAuth && !isSetupPage) {
-        return json({ error: 'Unauthorized' }, 401, corsHeaders);
+        return errorResponse(getErrorFormat(url.pathname), 401, {
+          message: 'Invalid access token', type: 'invalid_request_error', code: 'invalid_access_token'
+        }, corsHeaders);
       }
       // Setup page requires token if ACCESS_TOKEN is set
       if (isSetupPage && !validAuth) {
@@ -65,9 +74,13 @@ export default {
         return Response.redirect(url.origin + '/setup', 302);
       }
       
-      return json({ error: 'Not found' }, 404, corsHeaders);
+      return errorResponse(getErrorFormat(url.pathname), 404, {
+        message: `Unknown request URL: ${request.method} ${url.pathname}`, code: 'unknown_url'
+      }, corsHeaders);
     } catch (error) {
-      return json({ error: error.message }, 500, corsHeaders);
+      return errorResponse(getErrorFormat(url.pathname), 500, {
+        message: error.message, type: 'server_error', code: 'internal_error'
+      }, corsHeaders);
     }
   }
 };
@@ -80,6 +93,33 @@ function json(data, status = 200, headers = {}) {
   });
 }
 
+function errorResponse(format, status, error, headers = {}) {
+  return json(createErrorBody(format, status, error), status, headers);
+}
+
+// Read and validate a JSON request body: 413 over BODY_LIMIT, 400 for invalid JSON,
+// 422 for schema violations. Returns { body } or { response } with the error.
+async function readJsonBody(request, env, schema, format, corsHeaders) {
+  const limit = parseByteSize(env.BODY_LIMIT);
+  const tooLarge = () => ({
+    response: errorResponse(format, 413, { message: `Request body exceeds the ${limit} byte limit`, code: 'request_too_large' }, corsHeaders)
+  });
+  if (parseInt(request.headers.get('Content-Length')) > limit) return tooLarge();
+
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > limit) return tooLarge();
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    return { response: errorResponse(format, 400, { message: `Request body is not valid JSON: ${error.message}`, code: 'invalid_json' }, corsHeaders) };
+  }
+  const invalid = validateRequestBody(schema, body);
+  if (invalid) return { response: errorResponse(format, 422, invalid, corsHeaders) };
+  return { body };
+}
+
 // Multi-key support
 function getApiKey(env) {
   const keys = (env.YDC_API_KEYS || '').split(',').map(k => k.trim()).filter(k => k);
@@ -125,14 +165,10 @@ async function handleModels(env, corsHeaders) {
 }
 
 async function handleChat(request, env, corsHeaders) {
-  const body = await request.json();
+  const { body, response } = await readJsonBody(request, env, CHAT_COMPLETION_SCHEMA, 'openai', corsHeaders);
+  if (response) return response;
   const { model = 'express', messages, stream = false, conversation_id } = body;
   
-  // Validate messages
-  if (!messages || !Array.isArray(messages) || messages.length === 0) {
-    return json({ error: 'messages is required and must be a non-empty array' }, 400, corsHeaders);
-  }
-  
   // Get or create conversation
   let convId = conversation_id || crypto.randomUUID();
   
@@ -155,7 +191,7 @@ async function handleChat(request, env, corsHeaders) {
   }
   
   // Call You.com API
-  const youResponse = await callYouApi(getApiKey(env), {
+  const youResponse = await callYouApi(env, getApiKey(env), {
     agent: agentConfig.agent,
     input,
     stream,
@@ -206,8 +242,14 @@ function buildInput(messages) {
   return input;
 }
 
-async function callYouApi(apiKey, params) {
-  const response = await fetch('https://api.you.com/v1/agents/runs', {
+// Upstream runs endpoint (YDC_API_BASE_URL overrides the You.com host)
+function getApiUrl(env) {
+  const baseUrl = (env.YDC_API_BASE_URL || 'https://api.you.com').replace(/\/+$/, '');
+  return `${baseUrl}/v1/agents/runs`;
+}
+
+async function callYouApi(env, apiKey, params) {
+  const response = await fetch(getApiUrl(env), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -241,10 +283,14 @@ async function handleSyncResponse(response, env, convId, model, corsHeaders) {
   
   const data = await response.json();
   const content = extractContent(data);
+  const sources = extractSources(data);
   
   // Store assistant response
   await storeMessage(env.ydc_db, convId, 'assistant', content);
   
+  const message = { role: 'assistant', content };
+  if (sources.length > 0) message.annotations = toOpenAIAnnotations(content, sources);
+  
   return json({
     id: `chatcmpl-${Date.now()}`,
     object: 'chat.completion',
@@ -253,7 +299,7 @@ async function handleSyncResponse(response, env, convId, model, corsHeaders) {
     conversation_id: convId,
     choices: [{
       index: 0,
-      message: { role: 'assistant', content },
+      message,
       finish_reason: 'stop'
     }]
   }, 200, corsHeaders);
@@ -267,33 +313,16 @@ async function handleStreamResponse(response, env, convId, model, corsHeaders) {
   
   const processStream = async () => {
     let fullContent = '';
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
     
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+      for await (const event of parseYouStream(response.body)) {
+        if (event.type === STREAM_EVENTS.ERROR) throw new Error(event.message);
         
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              if (data.type === 'response.output_text.delta' && 
-                  data.response?.type === 'message.answer' && 
-                  data.response?.delta) {
-                fullContent += data.response.delta;
-                const chunk = createStreamChunk(model, data.response.delta);
-                await writer.write(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
-              }
-            } catch (e) {}
-          }
-        }
+        const text = getAnswerIncrement(event, fullContent);
+        if (!text) continue;
+        fullContent += text;
+        const chunk = createStreamChunk(model, text);
+        await writer.write(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
       }
       
       // Store assistant response
@@ -306,7 +335,8 @@ async function handleStreamResponse(response, env, convId, model, corsHeaders) {
       await writer.write(encoder.encode(`data: ${JSON.stringify(finalChunk)}\n\n`));
       await writer.write(encoder.encode('data: [DONE]\n\n'));
     } catch (error) {
-      await writer.write(encoder.encode(`data: {"error": "${error.message}"}\n\n`));
+      const errorBody = createErrorBody('openai', 502, { message: error.message, type: 'api_error', code: 'stream_error' });
+      await writer.write(encoder.encode(`data: ${JSON.stringify(errorBody)}\n\n`));
     } finally {
       await writer.close();
     }
@@ -419,7 +449,7 @@ async function handleSetup(request, env) {
         const keyPreview = apiKey.substring(0, 15) + '...' + apiKey.substring(apiKey.length - 5);
         
         const requestBody = { agent: 'express', input: 'test', stream: false };
-        const res = await fetch('https://api.you.com/v1/agents/runs', {
+        const res = await fetch(getApiUrl(env), {
           method: 'POST',
           headers: { 
             'Content-Type': 'application/json', 
@@ -502,7 +532,7 @@ async function storeMessage(db, conversationId, role, content) {
 
 async function handleListConversations(env, corsHeaders) {
   if (!env.ydc_db) {
-    return json({ error: 'D1 database not bound' }, 400, corsHeaders);
+    return errorResponse('openai', 400, { message: 'D1 database not bound', code: 'database_not_bound' }, corsHeaders);
   }
   
   try {
@@ -531,7 +561,7 @@ async function handleListConversations(env, corsHeaders) {
 
 async function handleDeleteConversation(env, id, corsHeaders) {
   if (!env.ydc_db) {
-    return json({ error: 'D1 database not bound' }, 400, corsHeaders);
+    return errorResponse('openai', 400, { message: 'D1 database not bound', code: 'database_not_bound' }, corsHeaders);
   }
   
   await env.ydc_db.prepare('DELETE FROM messages WHERE conversation_id = ?').bind(id).run();
@@ -541,7 +571,8 @@ async function handleDeleteConversation(env, id, corsHeaders) {
 
 // Anthropic Messages endpoint
 async function handleAnthropicMessages(request, env, corsHeaders) {
-  const body = await request.json();
+  const { body, response } = await readJsonBody(request, env, ANTHROPIC_MESSAGES_SCHEMA, 'anthropic', corsHeaders);
+  if (response) return response;
   const { model = 'claude-3-5-sonnet-20241022', messages, system, stream = false, metadata } = body;
   
   // Map Claude model to You.com agent
@@ -580,20 +611,27 @@ async function handleAnthropicMessages(request, env, corsHeaders) {
     await storeMessage(env.ydc_db, convId, 'user', content);
   }
   
-  const youResponse = await callYouApi(getApiKey(env), { agent, input, stream });
+  const youResponse = await callYouApi(env, getApiKey(env), { agent, input, stream });
   
   if (stream) {
     return handleAnthropicStream(youResponse, env, convId, model, corsHeaders);
   } else {
+    if (!youResponse.ok) {
+      return errorResponse('anthropic', 502, { message: `You.com API error: ${youResponse.status} ${youResponse.statusText}` }, corsHeaders);
+    }
     const data = await youResponse.json();
     const content = extractContent(data);
+    const sources = extractSources(data);
     await storeMessage(env.ydc_db, convId, 'assistant', content);
     
+    const textBlock = { type: 'text', text: content };
+    if (sources.length > 0) textBlock.citations = toAnthropicCitations(sources);
+    
     return json({
       id: `msg_${Date.now()}`,
       type: 'message',
       role: 'assistant',
-      content: [{ type: 'text', text: content }],
+      content: [textBlock],
       model,
       stop_reason: 'end_turn',
       metadata: { conversation_id: convId }
@@ -610,9 +648,6 @@ async function handleAnthropicStream(response, env, convId, model, corsHeaders)
   
   const processStream = async () => {
     let fullContent = '';
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
     
     // Send message_start
     await writer.write(encoder.encode(`event: message_start\ndata: ${JSON.stringify({
@@ -628,31 +663,17 @@ async function handleAnthropicStream(response, env, convId, model, corsHeaders)
     })}\n\n`));
     
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
+      for await (const event of parseYouStream(response.body)) {
+        if (event.type === STREAM_EVENTS.ERROR) throw new Error(event.message);
         
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              if (data.type === 'response.output_text.delta' && 
-                  data.response?.type === 'message.answer' && 
-                  data.response?.delta) {
-                fullContent += data.response.delta;
-                await writer.write(encoder.encode(`event: content_block_delta\ndata: ${JSON.stringify({
-                  type: 'content_block_delta',
-                  index: 0,
-                  delta: { type: 'text_delta', text: data.response.delta }
-                })}\n\n`));
-              }
-            } catch (e) {}
-          }
-        }
+        const text = getAnswerIncrement(event, fullContent);
+        if (!text) continue;
+        fullContent += text;
+        await writer.write(encoder.encode(`event: content_block_delta\ndata: ${JSON.stringify({
+          type: 'content_block_delta',
+          index: 0,
+          delta: { type: 'text_delta', text }
+        })}\n\n`));
       }
       
       if (fullContent) {
@@ -664,7 +685,7 @@ async function handleAnthropicStream(response, env, convId, model, corsHeaders)
       await writer.write(encoder.encode(`event: message_delta\ndata: ${JSON.stringify({ type: 'message_delta', delta: { stop_reason: 'end_turn' } })}\n\n`));
       await writer.write(encoder.encode(`event: message_stop\ndata: ${JSON.stringify({ type: 'message_stop' })}\n\n`));
     } catch (error) {
-      await writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ type: 'error', error: { message: error.message } })}\n\n`));
+      await writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify(createErrorBody('anthropic', 500, { message: error.message }))}\n\n`));
     } finally {
       await writer.close();
     }
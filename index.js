@@ -12,7 +12,13 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 // Import shared modules
-import { AGENT_TYPES, callYouApi, extractText, buildConversationInput, buildAgentRequest } from './lib/api-client.js';
+import { AGENT_TYPES, extractText, buildConversationInput, buildAgentRequest } from './lib/api-client.js';
+import { startMockUpstream } from './lib/mock-upstream.js';
+import { extractSources } from './lib/sources.js';
+import { getKeyPool } from './lib/key-pool.js';
+import { openKeyUsageStore } from './lib/key-usage-store.js';
+import { hashToken } from './lib/auth-middleware.js';
+import { parseResponseFormat, generateStructuredOutput, buildFormatInstructions } from './lib/structured-output.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -45,18 +51,66 @@ for (let i = 0; i < args.length; i++) {
   if (args[i] === '--no-history') {
     process.env.YDC_NO_HISTORY = 'true';
   }
+  if (args[i] === '--api-base-url' && args[i + 1]) {
+    process.env.YDC_API_BASE_URL = args[i + 1];
+  }
+  if (args[i] === '--mock-port' && args[i + 1]) {
+    process.env.YDC_MOCK_PORT = args[i + 1];
+  }
+  if (args[i] === '--mock-script' && args[i + 1]) {
+    process.env.YDC_MOCK_SCRIPT = args[i + 1];
+  }
+  if (args[i] === '--clients-file' && args[i + 1]) {
+    process.env.YDC_CLIENTS_FILE = args[i + 1];
+  }
 }
 
 const isOpenAIMode = args.includes('--openai') || args.includes('openai');
-
-if (isOpenAIMode) {
+const isMockUpstreamMode = args.includes('--mock-upstream');
+const hashTokenIndex = args.indexOf('--hash-token');
+
+if (hashTokenIndex !== -1) {
+  // Print the token_hash for a clients file entry
+  const token = args[hashTokenIndex + 1];
+  if (!token) {
+    console.error('Usage: npx ydc-agent --hash-token <token>');
+    process.exit(1);
+  }
+  console.log(hashToken(token));
+  process.exit(0);
+} else if (isOpenAIMode) {
   // Start OpenAI-compatible HTTP server using spawn
-  const openaiServerPath = join(__dirname, 'openai-server.js');
-  const child = spawn('node', [openaiServerPath], { 
-    stdio: 'inherit',
-    env: process.env
+  const spawnOpenAIServer = () => {
+    const openaiServerPath = join(__dirname, 'openai-server.js');
+    const child = spawn('node', [openaiServerPath], { 
+      stdio: 'inherit',
+      env: process.env
+    });
+    child.on('exit', (code) => process.exit(code));
+  };
+
+  if (isMockUpstreamMode) {
+    // Serve the mock upstream from this process and point the child server at it
+    startMockUpstream().then(mock => {
+      console.log(`🧪 Mock You.com upstream running at ${mock.url}`);
+      process.env.YDC_API_BASE_URL = mock.url;
+      if (!process.env.YDC_API_KEYS && !process.env.YDC_API_KEY) process.env.YDC_API_KEY = 'mock-key';
+      spawnOpenAIServer();
+    }).catch(error => {
+      console.error('❌ Failed to start mock upstream:', error.message);
+      process.exit(1);
+    });
+  } else {
+    spawnOpenAIServer();
+  }
+} else if (isMockUpstreamMode) {
+  startMockUpstream().then(mock => {
+    console.log(`🧪 Mock You.com upstream running at ${mock.url}`);
+    console.log(`   Point clients at it with YDC_API_BASE_URL=${mock.url} (any API key is accepted)`);
+  }).catch(error => {
+    console.error('❌ Failed to start mock upstream:', error.message);
+    process.exit(1);
   });
-  child.on('exit', (code) => process.exit(code));
 } else if (args.includes('--help') || args.includes('-h')) {
   console.log(`
 ydc-agent - MCP server for You.com AI agents
@@ -68,6 +122,9 @@ Usage:
   npx ydc-agent --openai --api-keys K1,K2    Start with multiple API keys
   npx ydc-agent --openai --port 3003         Start on custom port
   npx ydc-agent --openai --access-token TOK  Require access token for HTTP server
+  npx ydc-agent --mock-upstream              Start mock You.com upstream only
+  npx ydc-agent --openai --mock-upstream     Start HTTP server against the mock (offline)
+  npx ydc-agent --hash-token TOKEN           Print the token hash for a clients file
 
 Options:
   --openai              Start OpenAI-compatible HTTP server
@@ -76,8 +133,13 @@ Options:
   --key-mode MODE       Key rotation: round-robin (default) / sequential / random
   --port, -p PORT       Set HTTP server port (default: 3002)
   --access-token TOKEN  Set access token for HTTP server authentication
+  --clients-file FILE   Client identities file (hashed tokens, scopes, models)
   --agent NAME:ID       Add custom agent to models list (can use multiple times)
   --no-history          Minimal logging (one line per request/response)
+  --api-base-url URL    Override You.com API base URL (default: https://api.you.com)
+  --mock-upstream       Run the bundled mock You.com upstream
+  --mock-port PORT      Mock upstream port (default: 3900)
+  --mock-script FILE    JSON file with scripted mock answers, latencies and errors
   --help, -h            Show this help
 
 Environment Variables:
@@ -89,12 +151,41 @@ Environment Variables:
   YDC_OPENAI_ACCESS_TOKENS   Allowed tokens (comma-separated)
   YDC_CUSTOM_AGENTS          Custom agents (name:id,name2:id2)
   YDC_NO_HISTORY             Set to 'true' for minimal logging
+  YDC_MAX_RETRIES            Retries for 429/5xx/timeouts (default: 2)
+  YDC_RETRY_BASE_DELAY       Base retry backoff in ms (default: 500)
+  YDC_KEY_COOLDOWN_MS        Cooldown for rate-limited keys in ms (default: 60000)
+  YDC_KEY_QUARANTINE_THRESHOLD  Failures before a key is quarantined (default: 3)
+  YDC_KEY_PROBE_INTERVAL_MS  Re-probe interval for quarantined keys (default: 60000)
+  YDC_KEY_BUDGETS            Per-key call budgets, <index|*>=<daily>/<monthly>
+  YDC_KEY_USAGE_DB_PATH      Key usage database (default: key-usage.db next to conversations)
+  YDC_KEYS_FILE              Runtime key changes file (default: keys.json next to conversations)
+  YDC_ADMIN_TOKENS           Admin tokens for the key management routes
+  YDC_CLIENTS_FILE           Client identities file (hashed tokens, scopes, models)
+  YDC_RATE_LIMIT_RPM         Requests per minute per token/IP (default: unlimited)
+  YDC_MAX_CONCURRENT_STREAMS Concurrent streams per token/IP (default: unlimited)
+  YDC_MAX_CONCURRENT_ADVANCED  Concurrent advanced runs per token/IP (default: unlimited)
+  YDC_USAGE_DB_PATH          Completion usage database (default: usage.db next to conversations)
+  YDC_USAGE_RETENTION_DAYS   Days of completion usage to keep (default: 90)
+  YDC_STRUCTURED_OUTPUT_RETRIES  Repair attempts for invalid structured output (default: 2)
+  YDC_MAX_CHOICES            Maximum n (parallel runs) per chat completion (default: 8)
+  YDC_ATTACHMENT_POLICY      Non-text content parts: reject, drop or extract (default: drop)
+  YDC_ASSISTANTS_FILE        Assistants file (default: assistants.json next to conversations)
+  YDC_BATCH_DB_PATH          Files and batches database (default: batches.db next to conversations)
+  YDC_FILES_DIR              Uploaded and batch result files (default: files next to conversations)
+  YDC_BODY_LIMIT             Maximum JSON request body size (default: 10mb)
+  YDC_MAX_FILE_MB            Maximum upload size in MB (default: 100)
+  YDC_BATCH_CONCURRENCY      Batch requests in flight across all batches (default: one per key)
+  YDC_API_BASE_URL           You.com API base URL override
+  YDC_MOCK_PORT              Mock upstream port (default: 3900)
+  YDC_MOCK_SCRIPT            Mock upstream script file
+  YDC_MOCK_LATENCY           Mock upstream latency in ms (default: 0)
+  YDC_MOCK_ERROR_RATE        Mock upstream error injection rate 0-1 (default: 0)
 `);
   process.exit(0);
 }
 
-// Skip MCP server if in OpenAI mode
-if (isOpenAIMode) {
+// Skip MCP server if in OpenAI or mock upstream mode
+if (isOpenAIMode || isMockUpstreamMode) {
   // Wait forever, child process handles everything
   setInterval(() => {}, 1000000);
 } else {
@@ -105,12 +196,7 @@ let openaiServerPort = null;
 let openaiServerStatus = 'stopped';
 
 // ============ MULTI-KEY CONFIGURATION ============
-const API_KEYS_RAW = process.env.YDC_API_KEYS || process.env.YDC_API_KEY || '';
-const API_KEYS = API_KEYS_RAW.split(',').map(k => k.trim()).filter(k => k);
-const KEY_MODE = process.env.YDC_KEY_MODE || 'round-robin';
-let currentKeyIndex = 0;
-const keyUsageCount = new Map();
-const keyErrorCount = new Map();
+const keyPool = getKeyPool();
 
 // ============ OPENAI SERVER ENV PASSTHROUGH ============
 const OPENAI_SERVER_STORE_TYPE = process.env.YDC_CONVERSATION_STORE || 'sqlite';
@@ -211,7 +297,7 @@ function isRunningAsNpx() {
 }
 
 function validateApiKeys() {
-  if (API_KEYS.length === 0) {
+  if (keyPool.size === 0) {
     console.error('ERROR: No API keys configured!');
     console.error('Please set YDC_API_KEY or YDC_API_KEYS environment variable in mcp.json');
     
@@ -233,29 +319,9 @@ function validateApiKeys() {
   return true;
 }
 
-function getNextApiKey() {
-  if (API_KEYS.length === 0) throw new Error('No API keys configured');
-  
-  let key;
-  if (API_KEYS.length === 1) {
-    key = API_KEYS[0];
-  } else {
-    switch (KEY_MODE) {
-      case 'sequential': key = API_KEYS[currentKeyIndex]; break;
-      case 'random': key = API_KEYS[Math.floor(Math.random() * API_KEYS.length)]; break;
-      default: // round-robin
-        key = API_KEYS[currentKeyIndex];
-        currentKeyIndex = (currentKeyIndex + 1) % API_KEYS.length;
-    }
-  }
-  
-  keyUsageCount.set(key, (keyUsageCount.get(key) || 0) + 1);
-  return key;
-}
-
-function markKeyError(key) {
-  keyErrorCount.set(key, (keyErrorCount.get(key) || 0) + 1);
-  if (KEY_MODE === 'sequential') currentKeyIndex = (currentKeyIndex + 1) % API_KEYS.length;
+// Call You.com API, retrying failed attempts on the next key from the pool
+function callYouApiWithPool(requestBody, options = {}) {
+  return keyPool.call(requestBody, options);
 }
 
 // ============ MCP SERVER ============
@@ -340,6 +406,7 @@ If you are GPT-3.5 level or above (including GPT-4, Claude 3.5, etc.):
               },
               verbosity: { type: 'string', enum: ['medium', 'high'], default: 'high' },
               max_workflow_steps: { type: 'number', default: 15, minimum: 1, maximum: 20 },
+              output_schema: { type: 'object', description: 'Optional JSON Schema. The answer is returned as JSON validated against it; invalid answers are sent back for repair before failing' },
               call_count: { type: 'number', description: 'Number of API calls (1-10). Use 1 for single detailed report, 2-3 for comparison (avoid higher to prevent timeout)', default: PREFER_SUMMARY ? 3 : 1, minimum: 1, maximum: 10 },
               summary: { type: 'boolean', description: 'Generate AI summary comparing results. Use with call_count>1. Returns comparison table, NOT full content. Set show_results=true if you also need full content', default: PREFER_SUMMARY },
               language: { type: 'string', description: 'Summary language (e.g., zh-TW, zh-CN, en, ja)', default: DEFAULT_SUMMARY_LANGUAGE },
@@ -432,8 +499,30 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
         },
         {
           name: 'you_key_status',
-          description: 'Get API key usage status',
-          inputSchema: { type: 'object', properties: {} },
+          description: 'Get API key usage status, state (healthy/cooling-down/quarantined/disabled) and budgets, or a usage report by key/agent/day',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              report: { type: 'boolean', description: 'Return the usage report instead of key status', default: false },
+              days: { type: 'number', description: 'Report period in days', default: 30 },
+            },
+          },
+        },
+        {
+          name: 'you_key_manage',
+          description: 'Add, remove, disable or re-enable API keys and change the rotation mode at runtime (persisted, shared with the HTTP server)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: ['add', 'remove', 'disable', 'enable', 'set_mode'] },
+              key: { type: 'string', description: 'API key to add, or key_id/index of an existing key' },
+              mode: { type: 'string', enum: ['round-robin', 'sequential', 'random'], description: 'For set_mode' },
+              reason: { type: 'string', description: 'For disable' },
+              daily_limit: { type: 'number', description: 'Daily call budget for an added key' },
+              monthly_limit: { type: 'number', description: 'Monthly call budget for an added key' },
+            },
+            required: ['action'],
+          },
         },
         {
           name: 'openai_server_control',
@@ -464,7 +553,8 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
           case 'you_conversation_list': return this.listConversations();
           case 'you_conversation_get': return this.getConversationHistory(args.conversation_id);
           case 'you_conversation_delete': return this.deleteConversation(args.conversation_id);
-          case 'you_key_status': return this.getKeyStatus();
+          case 'you_key_status': return this.getKeyStatus(args);
+          case 'you_key_manage': return this.manageKeys(args);
           case 'you_agent': return await this.callCustomAgent(args);
           case 'openai_server_control': return await this.controlOpenAIServer(args);
           default: throw new Error(`Unknown tool: ${name}`);
@@ -476,15 +566,9 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
   }
 
   async callExpress(input) {
-    const apiKey = getNextApiKey();
-    try {
-      const response = await callYouApi(apiKey, { agent: 'express', input, stream: false });
-      const data = await response.json();
-      return { content: [{ type: 'text', text: extractText(data) }] };
-    } catch (error) {
-      markKeyError(apiKey);
-      throw error;
-    }
+    const response = await callYouApiWithPool({ agent: 'express', input, stream: false });
+    const data = await response.json();
+    return { text: extractText(data), sources: extractSources(data) };
   }
 
   async callExpressMultiple(input, callCount = 1, options = {}) {
@@ -494,14 +578,14 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
     
     // For single call, use original method (summary not applicable for single result)
     if (count === 1) {
-      const result = await this.callExpress(input);
-      const resultText = result.content[0].text;
+      const { text: resultText, sources } = await this.callExpress(input);
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
             warning: "⚠️ IMPORTANT: This data is limited to 2024. If your knowledge base is newer than 2024, you MUST supplement this result with your own up-to-date information. Compare and provide the most current answer.",
-            result: resultText
+            result: resultText,
+            sources
           }, null, 2)
         }]
       };
@@ -511,18 +595,17 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
 
     // Execute multiple calls in parallel
     const promises = Array.from({ length: count }, async (_, index) => {
-      const apiKey = getNextApiKey();
       try {
-        const response = await callYouApi(apiKey, { agent: 'express', input, stream: false });
+        const response = await callYouApiWithPool({ agent: 'express', input, stream: false });
         const data = await response.json();
         return {
           index: index + 1,
           success: true,
           warning: "⚠️ IMPORTANT: This data is limited to 2024. If your knowledge base is newer than 2024, you MUST supplement this result with your own up-to-date information. Compare and provide the most current answer.",
-          result: extractText(data)
+          result: extractText(data),
+          sources: extractSources(data)
         };
       } catch (error) {
-        markKeyError(apiKey);
         return {
           index: index + 1,
           success: false,
@@ -554,7 +637,8 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
       ...(needsResultsFallback && { 
         note: 'Summary requires call_count > 1. Showing first result.',
         warning: "⚠️ IMPORTANT: This data is limited to 2024. If your knowledge base is newer than 2024, you MUST supplement this result with your own up-to-date information. Compare and provide the most current answer.",
-        result: results.find(r => r.success)?.result 
+        result: results.find(r => r.success)?.result,
+        sources: results.find(r => r.success)?.sources
       })
     };
 
@@ -566,9 +650,46 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
     };
   }
 
+  /**
+   * Check an `output_schema` argument the way response_format schemas are checked over HTTP,
+   * so a broken schema fails before anything is stored or sent upstream
+   * @returns {object|null} structured output format
+   */
+  parseOutputSchema(outputSchema) {
+    if (outputSchema === undefined || outputSchema === null) return null;
+    try {
+      return parseResponseFormat({ type: 'json_schema', json_schema: { name: 'output_schema', schema: outputSchema } });
+    } catch (error) {
+      throw new Error(error.message.replace('response_format.json_schema.schema', 'output_schema'));
+    }
+  }
+
+  /**
+   * Run one agent request; with an output format the answer is validated as JSON and repaired
+   */
+  async runAgentRequest(requestBody, format = null, callOptions = {}) {
+    if (!format) {
+      const response = await callYouApiWithPool(requestBody, callOptions);
+      const data = await response.json();
+      return { text: extractText(data), data };
+    }
+
+    let data = null;
+    const result = await generateStructuredOutput({
+      input: requestBody.input + buildFormatInstructions(format),
+      format,
+      run: async input => {
+        const response = await callYouApiWithPool({ ...requestBody, input }, callOptions);
+        data = await response.json();
+        return extractText(data);
+      }
+    });
+    return { text: JSON.stringify(result.value, null, 2), data };
+  }
+
   async callAdvanced(args) {
-    const { input, conversation_id, agent_type = 'advanced-3.0-high', verbosity, max_workflow_steps } = args;
-    const apiKey = getNextApiKey();
+    const { input, conversation_id, agent_type = 'advanced-3.0-high', verbosity, max_workflow_steps, output_schema } = args;
+    const format = this.parseOutputSchema(output_schema);
     let conversationId = conversation_id || generateConversationId();
     let fullInput = input;
 
@@ -581,26 +702,21 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
     addMessageToConversation(conversationId, 'user', input);
     const requestBody = buildAgentRequest(agent_type, fullInput, { verbosity, max_workflow_steps });
 
-    try {
-      const response = await callYouApi(apiKey, requestBody);
-      const data = await response.json();
-      const resultText = extractText(data);
-      addMessageToConversation(conversationId, 'assistant', resultText);
+    const { text: resultText, data } = await this.runAgentRequest(requestBody, format);
+    const sources = extractSources(data);
+    addMessageToConversation(conversationId, 'assistant', resultText);
 
-      return {
-        content: [
-          { type: 'text', text: resultText },
-          { type: 'text', text: `\n\n---\nConversation ID: ${conversationId}\nAgent: ${agent_type}` }
-        ],
-      };
-    } catch (error) {
-      markKeyError(apiKey);
-      throw error;
-    }
+    return {
+      content: [
+        { type: 'text', text: resultText },
+        ...(sources.length > 0 ? [{ type: 'text', text: JSON.stringify({ sources }, null, 2) }] : []),
+        { type: 'text', text: `\n\n---\nConversation ID: ${conversationId}\nAgent: ${agent_type}` }
+      ],
+    };
   }
 
   async callAdvancedMultiple(args) {
-    const { input, conversation_id, agent_type = 'advanced-3.0-high', verbosity, max_workflow_steps, call_count = 1, summary = false, language = 'en', show_results = false } = args;
+    const { input, conversation_id, agent_type = 'advanced-3.0-high', verbosity, max_workflow_steps, output_schema, call_count = 1, summary = false, language = 'en', show_results = false } = args;
     
     // Clamp call_count to 1-10 for advanced (more resource intensive)
     const count = Math.max(1, Math.min(10, call_count));
@@ -610,24 +726,24 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
       return await this.callAdvanced(args);
     }
 
+    const format = this.parseOutputSchema(output_schema);
+
     // For multiple calls, we don't use conversation history to get diverse results
     const requestBody = buildAgentRequest(agent_type, input, { verbosity, max_workflow_steps });
 
     // Execute multiple calls in parallel with individual timeout handling
     const promises = Array.from({ length: count }, async (_, index) => {
-      const apiKey = getNextApiKey();
       try {
         // Use shorter timeout for parallel calls (120s each)
-        const response = await callYouApi(apiKey, requestBody, { timeout: 120000 });
-        const data = await response.json();
+        const { text, data } = await this.runAgentRequest(requestBody, format, { timeout: 120000 });
         return {
           index: index + 1,
           success: true,
           agent_type,
-          result: extractText(data)
+          result: text,
+          sources: extractSources(data)
         };
       } catch (error) {
-        markKeyError(apiKey);
         return {
           index: index + 1,
           success: false,
@@ -683,7 +799,8 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
       // Fallback: if no summary and no results shown, include first successful result
       ...(needsResultsFallback && { 
         note: 'Summary requires call_count > 1. Showing first result.',
-        result: results.find(r => r.success)?.result 
+        result: results.find(r => r.success)?.result,
+        sources: results.find(r => r.success)?.sources
       })
     };
 
@@ -713,9 +830,8 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
 
     // Step 1: Probe knowledge cutoff if auto_enhance is enabled
     if (auto_enhance) {
-      const apiKey = getNextApiKey();
       try {
-        const probeResponse = await callYouApi(apiKey, {
+        const probeResponse = await callYouApiWithPool({
           agent: agent_id,
           input: 'What is your knowledge cutoff date? Reply with just the date in YYYY-MM format.',
           stream: false
@@ -750,9 +866,8 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
 
     // Step 3: Execute the actual request(s)
     if (count === 1) {
-      const apiKey = getNextApiKey();
       try {
-        const response = await callYouApi(apiKey, {
+        const response = await callYouApiWithPool({
           agent: agent_id,
           input: enhancedInput,
           stream: false
@@ -768,12 +883,12 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
               agent_id,
               knowledge_info: knowledgeInfo,
               prompt_enhanced: enhancedInput !== input,
-              result
+              result,
+              sources: extractSources(data)
             }, null, 2)
           }]
         };
       } catch (error) {
-        markKeyError(apiKey);
         const failureStatus = recordYouAgentFailure();
         return {
           content: [{
@@ -798,9 +913,8 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
 
     // Multiple calls
     const promises = Array.from({ length: count }, async (_, index) => {
-      const apiKey = getNextApiKey();
       try {
-        const response = await callYouApi(apiKey, {
+        const response = await callYouApiWithPool({
           agent: agent_id,
           input: enhancedInput,
           stream: false
@@ -809,10 +923,10 @@ Ask yourself: "Does this task benefit from multiple perspectives or diverse resu
         return {
           index: index + 1,
           success: true,
-          result: extractText(data)
+          result: extractText(data),
+          sources: extractSources(data)
         };
       } catch (error) {
-        markKeyError(apiKey);
         recordYouAgentFailure();
         return {
           index: index + 1,
@@ -957,20 +1071,17 @@ ${successfulResults.map((r, i) => `--- Result ${i + 1} ---\n${r.result.substring
 
 [Important]: Focus on DIFFERENCES and UNIQUE aspects. Do NOT just list similarities.`;
 
-    const apiKey = getNextApiKey();
     try {
-      const response = await callYouApi(apiKey, { agent: 'express', input: summaryPrompt, stream: false });
+      const response = await callYouApiWithPool({ agent: 'express', input: summaryPrompt, stream: false });
       const data = await response.json();
       return extractText(data);
     } catch (error) {
-      markKeyError(apiKey);
       return `Summary generation failed: ${error.message}`;
     }
   }
 
   async callChat(args) {
     const { messages, conversation_id, model = 'advanced-3.0-high' } = args;
-    const apiKey = getNextApiKey();
     let conversationId = conversation_id || generateConversationId();
     let fullMessages = [...messages];
 
@@ -992,22 +1103,19 @@ ${successfulResults.map((r, i) => `--- Result ${i + 1} ---\n${r.result.substring
     const input = buildConversationInput(fullMessages);
     const requestBody = buildAgentRequest(model, input);
 
-    try {
-      const response = await callYouApi(apiKey, requestBody);
-      const data = await response.json();
-      const resultText = extractText(data);
-      addMessageToConversation(conversationId, 'assistant', resultText);
+    const response = await callYouApiWithPool(requestBody);
+    const data = await response.json();
+    const resultText = extractText(data);
+    const sources = extractSources(data);
+    addMessageToConversation(conversationId, 'assistant', resultText);
 
-      return {
-        content: [
-          { type: 'text', text: resultText },
-          { type: 'text', text: `\n\n---\nConversation ID: ${conversationId}` }
-        ],
-      };
-    } catch (error) {
-      markKeyError(apiKey);
-      throw error;
-    }
+    return {
+      content: [
+        { type: 'text', text: resultText },
+        ...(sources.length > 0 ? [{ type: 'text', text: JSON.stringify({ sources }, null, 2) }] : []),
+        { type: 'text', text: `\n\n---\nConversation ID: ${conversationId}` }
+      ],
+    };
   }
 
   listConversations() {
@@ -1046,22 +1154,35 @@ ${successfulResults.map((r, i) => `--- Result ${i + 1} ---\n${r.result.substring
     return { content: [{ type: 'text', text: `Deleted conversation: ${conversationId}` }] };
   }
 
-  getKeyStatus() {
-    const status = {
-      total_keys: API_KEYS.length,
-      key_mode: KEY_MODE,
-      current_key_index: currentKeyIndex,
-      keys: API_KEYS.map((key, index) => ({
-        index,
-        key_preview: `${key.substring(0, 8)}...${key.substring(key.length - 4)}`,
-        usage_count: keyUsageCount.get(key) || 0,
-        error_count: keyErrorCount.get(key) || 0,
-        is_current: index === currentKeyIndex
-      }))
-    };
+  getKeyStatus(args = {}) {
+    const { report = false, days = 30 } = args;
+    const status = report ? keyPool.getUsageReport(days) : keyPool.getStatus();
     return { content: [{ type: 'text', text: JSON.stringify(status, null, 2) }] };
   }
 
+  manageKeys(args) {
+    const { action, key, mode, reason, daily_limit = null, monthly_limit = null } = args;
+    const findExisting = () => {
+      const found = keyPool.findKey(key);
+      if (!found) throw new Error(`API key not found: ${key}`);
+      return found;
+    };
+
+    switch (action) {
+      case 'add': {
+        const budget = daily_limit !== null || monthly_limit !== null ? { daily: daily_limit, monthly: monthly_limit } : null;
+        keyPool.addKey(key, budget);
+        break;
+      }
+      case 'remove': keyPool.removeKey(findExisting()); break;
+      case 'disable': keyPool.disableKey(findExisting(), reason); break;
+      case 'enable': keyPool.enableKey(findExisting()); break;
+      case 'set_mode': keyPool.setMode(mode); break;
+      default: throw new Error(`Unknown action: ${action}`);
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(keyPool.getStatus(), null, 2) }] };
+  }
+
   async controlOpenAIServer(args) {
     const { action, port = 3002, access_tokens = [], store_type, db_path } = args;
     const openaiServerPath = join(__dirname, 'openai-server.js');
@@ -1082,8 +1203,11 @@ ${successfulResults.map((r, i) => `--- Result ${i + 1} ---\n${r.result.substring
           const env = { 
             ...process.env, 
             YDC_OPENAI_PORT: port.toString(),
-            YDC_API_KEY: API_KEYS[0] || '',
-            YDC_API_KEYS: API_KEYS.join(','),
+            YDC_API_KEY: keyPool.baseKeys[0] || '',
+            YDC_API_KEYS: keyPool.baseKeys.join(','),
+            // Runtime key changes reach the child through the shared overrides file
+            YDC_KEYS_FILE: keyPool.overridesPath,
+            ...(keyPool.usageStore.dbPath && { YDC_KEY_USAGE_DB_PATH: keyPool.usageStore.dbPath }),
             YDC_OPENAI_ACCESS_TOKENS: finalAccessTokens,
             YDC_CONVERSATION_STORE: finalStoreType,
             ...(finalDbPath && { YDC_CONVERSATION_DB_PATH: finalDbPath })
@@ -1112,7 +1236,7 @@ ${successfulResults.map((r, i) => `--- Result ${i + 1} ---\n${r.result.substring
             endpoint: `http://localhost:${port}/v1/chat/completions`,
             pid: openaiServerProcess.pid,
             storage: { store_type: finalStoreType, db_path: finalStoreType === 'sqlite' ? (finalDbPath || 'conversations.db') : null },
-            api_keys: { passthrough: API_KEYS.length > 0, count: API_KEYS.length }
+            api_keys: { passthrough: keyPool.size > 0, count: keyPool.size, keys_file: keyPool.overridesPath }
           });
         } catch (error) {
           openaiServerStatus = 'error';
@@ -1155,10 +1279,11 @@ ${successfulResults.map((r, i) => `--- Result ${i + 1} ---\n${r.result.substring
 
   async run() {
     if (!validateApiKeys()) process.exit(1);
+    keyPool.setUsageStore(await openKeyUsageStore());
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error(`You.com Agents MCP server v1.5.0 running on stdio`);
-    console.error(`API Keys: ${API_KEYS.length}, Mode: ${KEY_MODE}`);
+    console.error(`API Keys: ${keyPool.size}, Mode: ${keyPool.mode}`);
   }
 }
 
@@ -9,6 +9,9 @@ import {
   getDefaultAdvancedVersion,
   adjustWorkflowSteps
 } from './advanced-versions.js';
+import { extractSources, toAnthropicCitations } from './sources.js';
+import { OutputLimiter } from './output-limits.js';
+import { countTokens } from './token-counter.js';
 
 /**
  * Map Anthropic request parameters to You.com parameters
@@ -124,30 +127,39 @@ export function mapAnthropicToYouParams(anthropicRequest) {
 
 /**
  * Convert You.com response to Anthropic format
+ * With `limits` ({ stop, maxTokens }, see output-limits.js) the text is cut at the first
+ * stop sequence or at max_tokens and stop_reason reports why. `inputTokens` is the token
+ * count of the agent input (see token-counter.js).
  */
-export function convertToAnthropicResponse(youResponse, model, inputTokens = 100) {
-  const content = youResponse.output && Array.isArray(youResponse.output)
+export function convertToAnthropicResponse(youResponse, model, inputTokens = 0, limits = null) {
+  const answer = youResponse.output && Array.isArray(youResponse.output)
     ? youResponse.output
         .filter(item => item.type === 'message.answer')
         .map(item => item.text)
         .join('\n\n')
     : 'No response content';
+  const limited = limits ? OutputLimiter.apply(answer, limits) : { text: answer, reason: null, stopSequence: null };
+  const content = limited.text;
 
-  const outputTokens = Math.floor(content.length / 4);
+  const outputTokens = countTokens(content);
+
+  const textBlock = {
+    type: 'text',
+    text: content
+  };
+  const sources = extractSources(youResponse);
+  if (sources.length > 0) {
+    textBlock.citations = toAnthropicCitations(sources);
+  }
 
   return {
     id: `msg_${Date.now()}`,
     type: 'message',
     role: 'assistant',
-    content: [
-      {
-        type: 'text',
-        text: content
-      }
-    ],
+    content: [textBlock],
     model: model,
-    stop_reason: 'end_turn',
-    stop_sequence: null,
+    stop_reason: limited.reason || 'end_turn',
+    stop_sequence: limited.stopSequence,
     usage: {
       input_tokens: inputTokens,
       output_tokens: outputTokens
@@ -165,7 +177,7 @@ export function createAnthropicStreamEvent(eventType, data) {
 /**
  * Create message_start event
  */
-export function createMessageStartEvent(model, conversationId = null) {
+export function createMessageStartEvent(model, conversationId = null, inputTokens = 0) {
   const message = {
     id: `msg_${Date.now()}`,
     type: 'message',
@@ -175,7 +187,7 @@ export function createMessageStartEvent(model, conversationId = null) {
     stop_reason: null,
     stop_sequence: null,
     usage: {
-      input_tokens: 0,
+      input_tokens: inputTokens,
       output_tokens: 0
     }
   };
@@ -219,6 +231,20 @@ export function createContentBlockDeltaEvent(text, index = 0) {
   });
 }
 
+/**
+ * Create content_block_delta event carrying a citation
+ */
+export function createCitationsDeltaEvent(citation, index = 0) {
+  return createAnthropicStreamEvent('content_block_delta', {
+    type: 'content_block_delta',
+    index: index,
+    delta: {
+      type: 'citations_delta',
+      citation: citation
+    }
+  });
+}
+
 /**
  * Create content_block_stop event
  */
@@ -232,12 +258,12 @@ export function createContentBlockStopEvent(index = 0) {
 /**
  * Create message_delta event
  */
-export function createMessageDeltaEvent(outputTokens = 0) {
+export function createMessageDeltaEvent(outputTokens = 0, stopReason = 'end_turn', stopSequence = null) {
   return createAnthropicStreamEvent('message_delta', {
     type: 'message_delta',
     delta: {
-      stop_reason: 'end_turn',
-      stop_sequence: null
+      stop_reason: stopReason,
+      stop_sequence: stopSequence
     },
     usage: {
       output_tokens: outputTokens
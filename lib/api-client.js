@@ -3,7 +3,24 @@
  * Shared API calling logic for MCP and OpenAI servers
  */
 
-const API_BASE = 'https://api.you.com/v1/agents/runs';
+import { getTextContent } from './content-parts.js';
+
+const DEFAULT_API_BASE_URL = 'https://api.you.com';
+const RUNS_PATH = '/v1/agents/runs';
+
+/**
+ * Get the runs endpoint, honoring YDC_API_BASE_URL (read per call so CLI flags
+ * and the mock upstream can set it after this module is loaded)
+ */
+export function getApiUrl() {
+  const baseUrl = (process.env.YDC_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+  return `${baseUrl}${RUNS_PATH}`;
+}
+
+// Retry configuration
+const MAX_RETRIES = Number.isNaN(parseInt(process.env.YDC_MAX_RETRIES)) ? 2 : parseInt(process.env.YDC_MAX_RETRIES);
+const RETRY_BASE_DELAY = parseInt(process.env.YDC_RETRY_BASE_DELAY) || 500;
+const RETRY_MAX_DELAY = 30000;
 
 // Agent type configurations
 export const AGENT_TYPES = {
@@ -22,36 +39,183 @@ export const AGENT_TYPES = {
 };
 
 /**
- * Call You.com API
+ * Error raised for failed You.com API calls
+ * `status` is the upstream HTTP status (null for timeouts and network errors),
+ * `httpStatus`/`type`/`code` are what routes should send back to their clients
  */
-export async function callYouApi(apiKey, requestBody, options = {}) {
-  const { timeout = 300000 } = options;
-  
+export class YouApiError extends Error {
+  constructor(message, { status = null, kind = 'upstream', retryAfter = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'YouApiError';
+    this.status = status;
+    this.kind = kind;
+    this.retryAfter = retryAfter;
+    this.attempts = attempts;
+    this.retryable = kind === 'timeout' || kind === 'network' || status === 429 || (status >= 500 && status < 600);
+
+    if (kind === 'aborted') {
+      // Caller cancelled the run (e.g. HTTP client disconnected)
+      Object.assign(this, { httpStatus: 499, type: 'api_error', code: 'client_closed_request' });
+    } else if (kind === 'timeout') {
+      Object.assign(this, { httpStatus: 408, type: 'timeout_error', code: 'request_timeout' });
+    } else if (kind === 'network') {
+      Object.assign(this, { httpStatus: 502, type: 'api_error', code: 'upstream_unreachable' });
+    } else if (status === 429) {
+      Object.assign(this, { httpStatus: 429, type: 'rate_limit_error', code: 'upstream_rate_limited' });
+    } else if (status === 401 || status === 403) {
+      // The server's own You.com key was rejected, not the caller's credentials
+      Object.assign(this, { httpStatus: 502, type: 'api_error', code: 'upstream_auth_failed' });
+    } else if (status >= 400 && status < 500) {
+      Object.assign(this, { httpStatus: 400, type: 'invalid_request_error', code: 'upstream_bad_request' });
+    } else {
+      Object.assign(this, { httpStatus: 502, type: 'api_error', code: 'upstream_unavailable' });
+    }
+  }
+}
+
+// Parse Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter (50%-100% of the capped delay)
+function getBackoffDelay(attempt) {
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  return Math.floor(delay * (0.5 + Math.random() / 2));
+}
+
+// Wait before a retry, waking early if the caller aborts
+function waitForRetry(delay, signal) {
+  return new Promise(resolve => {
+    const wake = () => { clearTimeout(timer); resolve(); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', wake); resolve(); }, delay);
+    signal?.addEventListener('abort', wake, { once: true });
+  });
+}
+
+// Response whose body calls `release` once it has been read to the end, failed or been cancelled
+function releaseWithBody(response, release) {
+  if (!response.body) {
+    release();
+    return response;
+  }
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          release();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        release();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+async function callYouApiOnce(apiKey, requestBody, timeout, signal) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
+  // Caller's signal stays linked while the response body is read, so aborting it also
+  // cancels a streamed response; the listener goes when the attempt fails or the body ends
+  const abort = () => controller.abort();
+  const unlink = () => signal?.removeEventListener('abort', abort);
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  }
+
+  let succeeded = false;
   try {
-    const response = await fetch(API_BASE, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal,
-    });
+    let response;
+    try {
+      response = await fetch(getApiUrl(), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new YouApiError('API request cancelled', { kind: 'aborted' });
+      }
+      if (error.name === 'AbortError') {
+        throw new YouApiError(`API timeout after ${timeout}ms`, { kind: 'timeout' });
+      }
+      throw new YouApiError(`API network error: ${error.message}`, { kind: 'network' });
+    }
 
     clearTimeout(timeoutId);
 
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API error: ${response.status} ${errorText}`);
+      const errorText = await response.text().catch(() => '');
+      throw new YouApiError(`API error: ${response.status} ${errorText}`, {
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+      });
     }
 
-    return response;
-  } catch (error) {
+    succeeded = true;
+    return signal ? releaseWithBody(response, unlink) : response;
+  } finally {
     clearTimeout(timeoutId);
-    throw error;
+    if (!succeeded) unlink();
+  }
+}
+
+/**
+ * Call You.com API
+ * Retries 429/5xx/timeout/network failures with exponential backoff. When `nextKey`
+ * is given, each retry moves to the next key from the pool; `onKeyError` is called
+ * with every key that failed and `onKeySuccess` with the key and its latency (ms to
+ * response headers). Non-retryable errors (400, 401, ...) are thrown immediately.
+ * Aborting `signal` cancels the request, any pending retry and the response body.
+ */
+export async function callYouApi(apiKey, requestBody, options = {}) {
+  const { timeout = 300000, retries = MAX_RETRIES, nextKey = null, onKeyError = null, onKeySuccess = null, signal = null } = options;
+
+  let key = apiKey;
+  for (let attempt = 0; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const response = await callYouApiOnce(key, requestBody, timeout, signal);
+      if (onKeySuccess) onKeySuccess(key, Date.now() - startedAt);
+      return response;
+    } catch (error) {
+      error.attempts = attempt + 1;
+      if (error.kind === 'aborted') throw error;
+      // Bad requests are the caller's fault, not the key's
+      if (onKeyError && error.type !== 'invalid_request_error') onKeyError(key, error);
+      if (!error.retryable || attempt >= retries) throw error;
+
+      const previousKey = key;
+      if (nextKey) key = nextKey();
+
+      // Retry-After only applies to the key that received it
+      const delay = key === previousKey && error.retryAfter !== null
+        ? Math.min(error.retryAfter, RETRY_MAX_DELAY)
+        : getBackoffDelay(attempt);
+      await waitForRetry(delay, signal);
+      if (signal?.aborted) throw new YouApiError('API request cancelled', { kind: 'aborted', attempts: attempt + 1 });
+    }
   }
 }
 
@@ -70,6 +234,8 @@ export function extractText(data) {
 
 /**
  * Build conversation input from messages
+ * Content part arrays contribute their text parts; `developer` messages are instructions
+ * like `system` ones and `tool` messages are rendered as function results.
  */
 export function buildConversationInput(messages) {
   let input = '';
@@ -77,12 +243,15 @@ export function buildConversationInput(messages) {
   const conversationHistory = [];
   
   messages.forEach(msg => {
-    if (msg.role === 'system') {
-      systemPrompt = msg.content;
+    const content = getTextContent(msg.content);
+    if (msg.role === 'system' || msg.role === 'developer') {
+      systemPrompt = systemPrompt ? `${systemPrompt}\n\n${content}` : content;
     } else if (msg.role === 'user') {
-      conversationHistory.push(`User: ${msg.content}`);
+      conversationHistory.push(`User: ${content}`);
     } else if (msg.role === 'assistant') {
-      conversationHistory.push(`Assistant: ${msg.content}`);
+      conversationHistory.push(`Assistant: ${content}`);
+    } else if (msg.role === 'tool') {
+      conversationHistory.push(`Function result (${msg.name || msg.tool_call_id}): ${content}`);
     }
   });
   
@@ -136,5 +305,3 @@ export function buildAgentRequest(agentType, input, options = {}) {
 
   return request;
 }
-
-export { API_BASE };
@@ -0,0 +1,104 @@
+/**
+ * Assistant Store Module
+ * Assistants for the threads/runs API are named presets of model + instructions, kept in
+ * a local JSON file (YDC_ASSISTANTS_FILE, next to the conversation DB by default) and
+ * only in memory when YDC_CONVERSATION_STORE=memory
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync, writeFileSync, existsSync, renameSync } from 'fs';
+import { randomBytes } from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ASSISTANTS_FILE = process.env.YDC_ASSISTANTS_FILE ||
+  join(process.env.YDC_CONVERSATION_DB_PATH ? dirname(process.env.YDC_CONVERSATION_DB_PATH) : join(__dirname, '..'), 'assistants.json');
+const PERSISTENT = (process.env.YDC_CONVERSATION_STORE || 'sqlite') !== 'memory';
+
+// Fields a client may set on an assistant
+const ASSISTANT_FIELDS = ['name', 'description', 'model', 'instructions', 'tools', 'temperature', 'metadata'];
+
+let assistants = null;
+
+function load() {
+  if (assistants) return assistants;
+  assistants = new Map();
+  if (!PERSISTENT || !existsSync(ASSISTANTS_FILE)) return assistants;
+  try {
+    JSON.parse(readFileSync(ASSISTANTS_FILE, 'utf8')).forEach(entry => assistants.set(entry.assistant.id, entry));
+  } catch (error) {
+    console.error('⚠️ Failed to read assistants file, starting empty:', error.message);
+  }
+  return assistants;
+}
+
+function save() {
+  if (!PERSISTENT) return;
+  try {
+    const tempPath = `${ASSISTANTS_FILE}.${process.pid}.tmp`;
+    writeFileSync(tempPath, JSON.stringify([...assistants.values()], null, 2));
+    renameSync(tempPath, ASSISTANTS_FILE);
+  } catch (error) {
+    console.error('⚠️ Failed to save assistants file:', error.message);
+  }
+}
+
+function pickFields(fields) {
+  return Object.fromEntries(ASSISTANT_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]]));
+}
+
+/**
+ * Stored entries ({ assistant, owner }), only those of `owner` when given, newest first
+ */
+export function listAssistants(owner = null) {
+  return [...load().values()]
+    .filter(entry => owner === null || entry.owner === owner)
+    .sort((a, b) => b.assistant.created_at - a.assistant.created_at);
+}
+
+/**
+ * Stored entry ({ assistant, owner }) or null
+ */
+export function getAssistant(id) {
+  return load().get(id) || null;
+}
+
+export function createAssistant(fields, owner = null) {
+  const assistant = {
+    id: `asst_${randomBytes(12).toString('hex')}`,
+    object: 'assistant',
+    created_at: Math.floor(Date.now() / 1000),
+    name: null,
+    description: null,
+    model: 'advanced',
+    instructions: null,
+    tools: [],
+    temperature: null,
+    metadata: {},
+    ...pickFields(fields)
+  };
+  load().set(assistant.id, { assistant, owner });
+  save();
+  return assistant;
+}
+
+export function updateAssistant(id, fields) {
+  const entry = load().get(id);
+  if (!entry) return null;
+  entry.assistant = { ...entry.assistant, ...pickFields(fields) };
+  save();
+  return entry.assistant;
+}
+
+export function deleteAssistant(id) {
+  const deleted = load().delete(id);
+  if (deleted) save();
+  return deleted;
+}
+
+export const assistantStoreConfig = {
+  ASSISTANTS_FILE,
+  PERSISTENT
+};
@@ -1,44 +1,262 @@
 /**
  * Authentication Middleware Module
+ * Resolves bearer tokens to client identities with scopes and a model allowlist
+ *
+ * Clients file (YDC_CLIENTS_FILE, JSON, reloaded when it changes):
+ * {
+ *   "clients": [
+ *     {
+ *       "name": "team-a",
+ *       "token_hash": "sha256 hex of the token (npx ydc-agent --hash-token <token>)",
+ *       "expires_at": "2027-01-01T00:00:00Z",        // optional
+ *       "scopes": ["chat", "messages", "conversations"],  // default: all but admin (admin also sees every conversation)
+ *       "models": ["express", "advanced-*"],            // default: ["*"]
+ *       "rate_limits": { "rpm": 60, "concurrent_streams": 2 }  // optional, see rate-limiter.js
+ *     }
+ *   ]
+ * }
+ * Tokens from YDC_OPENAI_ACCESS_TOKENS and YDC_ADMIN_TOKENS become identities too
+ * (token-<hash prefix> without admin scope, admin-<hash prefix> with every scope). The id
+ * comes from the token, not its position, so editing the lists keeps owners and usage stable.
  */
 
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFileSync, existsSync, statSync } from 'fs';
+
+export const SCOPES = ['chat', 'messages', 'conversations', 'admin'];
+const DEFAULT_SCOPES = ['chat', 'messages', 'conversations'];
+
 // Access token configuration
 const ACCESS_TOKENS_RAW = process.env.YDC_OPENAI_ACCESS_TOKENS || '';
 const ACCESS_TOKENS = ACCESS_TOKENS_RAW.split(',').map(t => t.trim()).filter(t => t);
-const REQUIRE_TOKEN_AUTH = ACCESS_TOKENS.length > 0;
+const ADMIN_TOKENS = (process.env.YDC_ADMIN_TOKENS || '').split(',').map(t => t.trim()).filter(t => t);
+const CLIENTS_FILE = process.env.YDC_CLIENTS_FILE || '';
+
+// Identity used when token auth is off
+const ANONYMOUS_CLIENT = { id: 'anonymous', name: 'anonymous', scopes: DEFAULT_SCOPES, models: ['*'], expires_at: null, anonymous: true };
+
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function toClient({ name, token_hash, expires_at = null, scopes = DEFAULT_SCOPES, models = ['*'], rate_limits = null }) {
+  return {
+    id: name,
+    name,
+    tokenHash: Buffer.from(token_hash.replace(/^sha256:/, '').toLowerCase(), 'hex'),
+    scopes: scopes.filter(scope => SCOPES.includes(scope)),
+    models,
+    expires_at,
+    rate_limits
+  };
+}
+
+const envClient = (prefix, token, scopes = DEFAULT_SCOPES) => {
+  const tokenHash = hashToken(token);
+  return toClient({ name: `${prefix}-${tokenHash.slice(0, 12)}`, token_hash: tokenHash, scopes });
+};
+const envClients = [
+  ...ACCESS_TOKENS.map(token => envClient('token', token)),
+  ...ADMIN_TOKENS.map(token => envClient('admin', token, SCOPES))
+];
+let fileClients = [];
+let fileMtime = 0;
+
+function loadClientsFile() {
+  if (!CLIENTS_FILE || !existsSync(CLIENTS_FILE)) return;
+  const mtime = statSync(CLIENTS_FILE).mtimeMs;
+  if (mtime === fileMtime) return;
+  fileMtime = mtime;
+  try {
+    const data = JSON.parse(readFileSync(CLIENTS_FILE, 'utf8'));
+    const entries = Array.isArray(data) ? data : data.clients || [];
+    fileClients = entries.filter(entry => entry.name && entry.token_hash).map(toClient);
+  } catch (error) {
+    console.error('⚠️ Failed to load clients file, keeping previous clients:', error.message);
+  }
+}
+
+function getClients() {
+  loadClientsFile();
+  return [...fileClients, ...envClients];
+}
+
+function findClient(token) {
+  const hash = Buffer.from(hashToken(token), 'hex');
+  return getClients().find(client => client.tokenHash.length === hash.length && timingSafeEqual(client.tokenHash, hash)) || null;
+}
+
+function isExpired(client) {
+  return client.expires_at !== null && Date.parse(client.expires_at) <= Date.now();
+}
+
+// Token auth is required once any client identity is configured (admin tokens alone
+// only protect the admin routes)
+function isTokenAuthRequired() {
+  loadClientsFile();
+  return fileClients.length > 0 || ACCESS_TOKENS.length > 0;
+}
+
+// Send an auth error in OpenAI ({ error: { message, type, code } }) or
+// Anthropic ({ type: 'error', error: { type, message } }) shape
+function sendAuthError(res, format, status, error) {
+  if (format === 'anthropic') {
+    const type = status === 401 ? 'authentication_error' : status === 403 ? 'permission_error' : error.type;
+    return res.status(status).json({ type: 'error', error: { type, message: error.message } });
+  }
+  return res.status(status).json({ error });
+}
+
+function getToken(req, format) {
+  // Anthropic SDKs send the key as x-api-key
+  if (format === 'anthropic' && req.headers['x-api-key']) return req.headers['x-api-key'];
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+}
 
 /**
- * Authentication middleware for Express
+ * Create an authentication middleware for Express
+ * Sets req.client to the resolved identity ({ id, name, scopes, models, expires_at })
+ * @param {'openai'|'anthropic'} format - error shape and accepted headers
  */
-export function authenticate(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: {
+export function createAuthenticate(format = 'openai') {
+  return (req, res, next) => {
+    if (format === 'anthropic') {
+      const version = req.headers['anthropic-version'];
+      if (version !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(version)) {
+        return sendAuthError(res, format, 400, { message: `Invalid anthropic-version header: ${version}`, type: 'invalid_request_error' });
+      }
+      req.anthropicVersion = version || null;
+    }
+
+    const token = getToken(req, format);
+    if (!token) {
+      return sendAuthError(res, format, 401, {
         message: 'Invalid authentication credentials',
         type: 'invalid_request_error',
         code: 'invalid_api_key'
+      });
+    }
+
+    const client = findClient(token);
+    if (client && isExpired(client)) {
+      return sendAuthError(res, format, 401, {
+        message: 'Access token has expired',
+        type: 'invalid_request_error',
+        code: 'expired_access_token'
+      });
+    }
+
+    if (!client && isTokenAuthRequired()) {
+      return sendAuthError(res, format, 401, {
+        message: 'Invalid access token',
+        type: 'invalid_request_error',
+        code: 'invalid_access_token'
+      });
+    }
+
+    const { tokenHash, ...identity } = client || ANONYMOUS_CLIENT;
+    req.client = identity;
+    next();
+  };
+}
+
+/**
+ * Authentication middleware for Express (OpenAI-style Bearer token)
+ */
+export const authenticate = createAuthenticate('openai');
+
+/**
+ * Authentication middleware for Anthropic routes (x-api-key or Bearer token)
+ */
+export const authenticateAnthropic = createAuthenticate('anthropic');
+
+/**
+ * Scope check middleware (use after authenticate)
+ */
+export function requireScope(scope, format = 'openai') {
+  return (req, res, next) => {
+    if (!req.client?.scopes.includes(scope)) {
+      return sendAuthError(res, format, 403, {
+        message: `Access token is missing the '${scope}' scope`,
+        type: 'permission_error',
+        code: 'insufficient_scope'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Admin authentication middleware for Express
+ */
+export function requireAdmin(req, res, next) {
+  if (!getClients().some(client => client.scopes.includes('admin'))) {
+    return res.status(403).json({
+      error: {
+        message: 'Admin API is disabled; set YDC_ADMIN_TOKENS or add an admin client to enable it',
+        type: 'permission_error',
+        code: 'admin_disabled'
       }
     });
   }
 
-  if (REQUIRE_TOKEN_AUTH) {
-    const token = authHeader.slice(7);
-    if (!ACCESS_TOKENS.includes(token)) {
-      return res.status(401).json({
-        error: {
-          message: 'Invalid access token',
-          type: 'invalid_request_error',
-          code: 'invalid_access_token'
-        }
+  authenticate(req, res, () => requireScope('admin')(req, res, next));
+}
+
+/**
+ * Check a model/agent name against a client's allowlist ("*" and "prefix-*" patterns)
+ */
+export function isModelAllowed(client, model) {
+  if (!client) return true;
+  const name = String(model);
+  return client.models.some(pattern => pattern === '*' || pattern === name ||
+    (pattern.endsWith('*') && name.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Model allowlist middleware for request bodies with a `model` field
+ */
+export function requireModelAccess(defaultModel, format = 'openai') {
+  return (req, res, next) => {
+    const model = req.body?.model || defaultModel;
+    if (!isModelAllowed(req.client, model)) {
+      return sendAuthError(res, format, 403, {
+        message: `Model '${model}' is not allowed for this access token`,
+        type: 'permission_error',
+        code: 'model_not_allowed'
       });
     }
-  }
+    next();
+  };
+}
 
-  next();
+/**
+ * Owner filter for a client's conversations and usage records: null (everything) for
+ * the admin scope and when token auth is off, otherwise the client's own id
+ */
+export function getOwnerFilter(client) {
+  if (!client || client.anonymous || client.scopes.includes('admin')) return null;
+  return client.id;
+}
+
+/**
+ * Whether a client may read, continue or delete a stored conversation
+ */
+export function canAccessConversation(client, conversation) {
+  const owner = getOwnerFilter(client);
+  return owner === null || conversation.owner === owner;
 }
 
 export const authConfig = {
-  REQUIRE_TOKEN_AUTH,
-  ACCESS_TOKENS_COUNT: ACCESS_TOKENS.length
+  get REQUIRE_TOKEN_AUTH() {
+    return isTokenAuthRequired();
+  },
+  get ACCESS_TOKENS_COUNT() {
+    return getClients().length;
+  },
+  get ADMIN_ENABLED() {
+    return getClients().some(client => client.scopes.includes('admin'));
+  },
+  CLIENTS_FILE
 };
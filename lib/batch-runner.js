@@ -0,0 +1,321 @@
+/**
+ * Batch Runner Module
+ * Background worker for `/v1/batches`: every request line of a batch's input file goes
+ * through the (non-streaming, stateless) chat completion pipeline, with at most
+ * YDC_BATCH_CONCURRENCY lines in flight across all batches (default: one per API key).
+ *
+ * Finished lines are recorded in the batch store as they complete, so a batch interrupted
+ * by a restart resumes with the lines it has not finished yet (see resumeBatches).
+ */
+
+import { randomBytes } from 'crypto';
+import { mapOpenAIToYouParams } from './openai-mapper.js';
+import { StructuredOutputError } from './structured-output.js';
+import { countTokens } from './token-counter.js';
+import { parseChatRequest, createChatCompletion, ChatRequestError } from './chat-completion.js';
+import { isModelAllowed } from './auth-middleware.js';
+import { validateRequestBody } from './request-validation.js';
+import { CHAT_COMPLETION_SCHEMA } from './request-schemas.js';
+import { YouApiError } from './api-client.js';
+import { getKeyPool } from './key-pool.js';
+import { startBackgroundUsage } from './usage-tracker.js';
+import { getBatchStore } from './batch-store.js';
+
+const keyPool = getKeyPool();
+const batchStore = getBatchStore();
+
+const BATCH_CONCURRENCY = parseInt(process.env.YDC_BATCH_CONCURRENCY) || 0;
+const MAX_BATCH_REQUESTS = 50000;
+const COMPLETION_WINDOW = 24 * 60 * 60;
+
+export const BATCH_ENDPOINTS = ['/v1/chat/completions'];
+
+// Batches being worked on: id -> { batch, owner, pending, inFlight, controller }
+const jobs = new Map();
+let running = 0;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function errorBody(message, type, param, code) {
+  return { error: { message, type, param, code } };
+}
+
+/**
+ * Run one chat completion request body without conversation storage
+ * @param {object} body - chat completion request (stream is ignored)
+ * @param {object} callOptions - keyPool.call options (signal, key callbacks)
+ * @param {object} usage - usage record to fill in
+ * @returns {Promise<{statusCode: number, body: object}>} rejects only when aborted
+ */
+export async function runChatRequest(body, callOptions, usage) {
+  const schemaError = validateRequestBody(CHAT_COMPLETION_SCHEMA, body);
+  if (schemaError) return { statusCode: 422, body: { error: schemaError } };
+
+  let request;
+  try {
+    request = parseChatRequest(body);
+  } catch (error) {
+    if (!(error instanceof ChatRequestError)) throw error;
+    return { statusCode: 400, body: errorBody(error.message, 'invalid_request_error', error.param, error.code) };
+  }
+
+  // A failed choice cancels the other choices of this line, not the whole batch
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (callOptions.signal?.aborted) abort();
+  else callOptions.signal?.addEventListener('abort', abort, { once: true });
+
+  try {
+    const youParams = mapOpenAIToYouParams({ ...body, messages: request.messages, stream: false });
+    const promptTokens = countTokens(youParams.input);
+    Object.assign(usage, { agent: youParams.agent, input_chars: youParams.input?.length || 0, prompt_tokens: promptTokens });
+
+    const completion = await createChatCompletion({
+      body,
+      youParams,
+      responseFormat: request.responseFormat,
+      n: request.n,
+      limits: request.limits,
+      callOptions: { timeout: youParams.timeout || (youParams.agent === 'advanced' ? 3000000 : 300000), ...callOptions, signal: controller.signal },
+      controller,
+      promptTokens
+    });
+    usage.completion_tokens = completion.usage.completion_tokens;
+    usage.output_chars = completion.choices.reduce((sum, choice) => sum + (choice.message.content?.length || 0), 0);
+    return { statusCode: 200, body: completion };
+  } catch (error) {
+    if (error instanceof YouApiError && error.kind === 'aborted') throw error;
+    if (error instanceof StructuredOutputError) {
+      return { statusCode: 502, body: { ...errorBody(error.message, 'api_error', 'response_format', 'response_format_validation_failed'), validation_errors: error.errors } };
+    }
+    if (error instanceof YouApiError) {
+      return { statusCode: error.httpStatus, body: errorBody(error.message, error.type, null, error.code) };
+    }
+    return { statusCode: 500, body: errorBody(error.message, 'server_error', null, 'internal_error') };
+  } finally {
+    callOptions.signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Parse and check a batch input file (JSONL, one { custom_id, method, url, body } per line)
+ * @param {Buffer|string} content
+ * @param {string} endpoint - the batch endpoint every line must target
+ * @param {object} client - uploading client, for the model allowlist
+ * @returns {{ requests: object[], errors: object[] }} requests carry their 1-based input line
+ */
+export function parseBatchInput(content, endpoint, client) {
+  const requests = [];
+  const errors = [];
+  const customIds = new Set();
+  const fail = (line, code, message, param = null) => errors.push({ code, message, param, line });
+
+  String(content).split('\n').forEach((text, index) => {
+    const line = index + 1;
+    if (!text.trim()) return;
+    let request;
+    try {
+      request = JSON.parse(text);
+    } catch (error) {
+      return fail(line, 'invalid_json_line', `Line ${line} is not valid JSON`);
+    }
+    if (!request || typeof request !== 'object') return fail(line, 'invalid_request', `Line ${line} must be a JSON object`);
+    if (typeof request.custom_id !== 'string' || !request.custom_id) {
+      return fail(line, 'missing_required_parameter', 'custom_id must be a non-empty string', 'custom_id');
+    }
+    if (customIds.has(request.custom_id)) {
+      return fail(line, 'duplicate_custom_id', `The custom_id '${request.custom_id}' is used more than once`, 'custom_id');
+    }
+    customIds.add(request.custom_id);
+    if (request.method !== 'POST') return fail(line, 'invalid_method', 'method must be POST', 'method');
+    if (request.url !== endpoint) return fail(line, 'invalid_url', `url must be ${endpoint}, the batch endpoint`, 'url');
+    if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+      return fail(line, 'invalid_request', 'body must be an object', 'body');
+    }
+    const model = request.body.model || 'advanced';
+    if (!isModelAllowed(client, model)) {
+      return fail(line, 'model_not_allowed', `Model '${model}' is not allowed for this access token`, 'body.model');
+    }
+    requests.push({ line, custom_id: request.custom_id, body: request.body });
+  });
+
+  if (!requests.length && !errors.length) fail(null, 'empty_file', 'The input file contains no requests');
+  if (requests.length > MAX_BATCH_REQUESTS) fail(null, 'too_many_requests', `A batch can have at most ${MAX_BATCH_REQUESTS} requests`);
+  return { requests, errors };
+}
+
+/**
+ * Create a batch for an uploaded input file and start it (a batch whose input does not
+ * validate is stored as failed, with the line errors in `errors`)
+ */
+export function createBatch({ inputFileId, endpoint, metadata = null, client }) {
+  const createdAt = now();
+  const batch = {
+    id: `batch_${randomBytes(12).toString('hex')}`,
+    object: 'batch',
+    endpoint,
+    errors: null,
+    input_file_id: inputFileId,
+    completion_window: '24h',
+    status: 'validating',
+    output_file_id: null,
+    error_file_id: null,
+    created_at: createdAt,
+    in_progress_at: null,
+    expires_at: createdAt + COMPLETION_WINDOW,
+    finalizing_at: null,
+    completed_at: null,
+    failed_at: null,
+    expired_at: null,
+    cancelling_at: null,
+    cancelled_at: null,
+    request_counts: { total: 0, completed: 0, failed: 0 },
+    metadata
+  };
+  const owner = client.id;
+  const { requests, errors } = parseBatchInput(batchStore.getFileContent(inputFileId) || '', endpoint, client);
+  if (errors.length) {
+    Object.assign(batch, { status: 'failed', failed_at: now(), errors: { object: 'list', data: errors } });
+    batchStore.saveBatch(batch, owner);
+    return batch;
+  }
+
+  batch.request_counts.total = requests.length;
+  batchStore.saveBatch(batch, owner);
+  startJob({ batch, owner }, requests);
+  return batch;
+}
+
+function startJob(entry, requests) {
+  const { batch } = entry;
+  const done = new Set(batchStore.getResults(batch.id).map(result => result.line));
+  const job = {
+    ...entry,
+    // Lines still to run; cancelled and finalizing batches only need their files written
+    pending: ['cancelling', 'finalizing'].includes(batch.status) ? [] : requests.filter(request => !done.has(request.line)),
+    inFlight: 0,
+    controller: new AbortController()
+  };
+  if (batch.status === 'validating') {
+    Object.assign(batch, { status: 'in_progress', in_progress_at: now() });
+    batchStore.saveBatch(batch, entry.owner);
+  }
+  jobs.set(batch.id, job);
+  console.log(`📦 Batch ${batch.id}: ${job.pending.length} of ${batch.request_counts.total} requests to run`);
+  pump();
+}
+
+/**
+ * Fill free slots with pending lines (oldest batch first) and finalize drained batches
+ */
+function pump() {
+  const limit = BATCH_CONCURRENCY || Math.max(keyPool.size, 1);
+  for (const job of jobs.values()) {
+    if (job.batch.status === 'in_progress' && now() > job.batch.expires_at) {
+      console.log(`⏰ Batch ${job.batch.id} expired with ${job.pending.length} requests left`);
+      Object.assign(job.batch, { status: 'expired', expired_at: now() });
+      job.pending = [];
+      job.controller.abort();
+    }
+    while (running < limit && job.pending.length) {
+      runLine(job, job.pending.shift());
+    }
+    if (!job.pending.length && job.inFlight === 0) finalizeBatch(job);
+  }
+}
+
+async function runLine(job, request) {
+  const { batch, owner } = job;
+  running++;
+  job.inFlight++;
+  // Usage is recorded per line, as if the batch owner had sent the request
+  const usage = startBackgroundUsage({ body: request.body, client: { id: owner } }, '/v1/batches');
+  try {
+    const result = await runChatRequest(request.body, { signal: job.controller.signal, ...usage.keyOptions }, usage.usage);
+    const failed = result.statusCode >= 400;
+    batchStore.recordResult(batch.id, request.line, {
+      id: `batch_req_${randomBytes(12).toString('hex')}`,
+      custom_id: request.custom_id,
+      response: { status_code: result.statusCode, request_id: `req_${randomBytes(12).toString('hex')}`, body: result.body },
+      error: null
+    }, failed);
+    batch.request_counts[failed ? 'failed' : 'completed']++;
+    batchStore.saveBatch(batch, owner);
+    usage.finish(failed ? 'error' : 'ok');
+  } catch (error) {
+    // Cancelled or expired: the line is left out of the results
+    usage.finish('cancelled');
+    if (!job.controller.signal.aborted) console.error(`❌ Batch ${batch.id} line ${request.line} error:`, error);
+  } finally {
+    running--;
+    job.inFlight--;
+    pump();
+  }
+}
+
+function writeResultsFile(batch, owner, results, name) {
+  if (!results.length) return null;
+  const data = Buffer.from(results.map(result => JSON.stringify(result.result)).join('\n') + '\n');
+  return batchStore.createFile({ filename: `${batch.id}_${name}.jsonl`, purpose: 'batch_output', data, owner }).id;
+}
+
+/**
+ * Write the output (successful lines) and error (failed lines) files and close the batch
+ */
+function finalizeBatch(job) {
+  const { batch, owner } = job;
+  jobs.delete(batch.id);
+  if (batch.status === 'in_progress') {
+    Object.assign(batch, { status: 'finalizing', finalizing_at: now() });
+    batchStore.saveBatch(batch, owner);
+  }
+
+  const results = batchStore.getResults(batch.id);
+  batch.output_file_id = writeResultsFile(batch, owner, results.filter(result => !result.failed), 'output');
+  batch.error_file_id = writeResultsFile(batch, owner, results.filter(result => result.failed), 'error');
+  if (batch.status === 'cancelling') {
+    Object.assign(batch, { status: 'cancelled', cancelled_at: now() });
+  } else if (batch.status === 'finalizing') {
+    Object.assign(batch, { status: 'completed', completed_at: now() });
+  }
+  batchStore.saveBatch(batch, owner);
+  batchStore.clearResults(batch.id);
+  console.log(`📦 Batch ${batch.id} ${batch.status}: ${batch.request_counts.completed} completed, ${batch.request_counts.failed} failed`);
+}
+
+/**
+ * Current state of a batch (live counters while it runs)
+ */
+export function getBatch(id) {
+  const job = jobs.get(id);
+  return job ? { batch: job.batch, owner: job.owner } : batchStore.getBatch(id);
+}
+
+/**
+ * Cancel a running batch: pending lines are dropped, lines in flight are aborted, and the
+ * lines finished so far are still written to the output/error files
+ * @returns {object|null} the batch, or null when it is not running
+ */
+export function cancelBatch(id) {
+  const job = jobs.get(id);
+  if (!job || job.batch.status !== 'in_progress') return null;
+  Object.assign(job.batch, { status: 'cancelling', cancelling_at: now() });
+  batchStore.saveBatch(job.batch, job.owner);
+  job.pending = [];
+  job.controller.abort();
+  pump();
+  return job.batch;
+}
+
+/**
+ * Pick up the batches a previous process left unfinished
+ * @returns {number} number of resumed batches
+ */
+export function resumeBatches() {
+  const entries = batchStore.persistent ? batchStore.listUnfinishedBatches() : [];
+  for (const entry of entries) {
+    const { requests } = parseBatchInput(batchStore.getFileContent(entry.batch.input_file_id) || '', entry.batch.endpoint, null);
+    startJob(entry, requests);
+  }
+  return entries.length;
+}
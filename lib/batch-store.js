@@ -0,0 +1,284 @@
+/**
+ * Batch Store Module
+ * Uploaded files (`/v1/files`) and batch jobs (`/v1/batches`), persisted with sql.js so
+ * unfinished batches resume after a restart
+ *
+ * File metadata, batch objects and per-line results live in batches.db; file contents are
+ * written to YDC_FILES_DIR. With YDC_CONVERSATION_STORE=memory everything stays in memory.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { randomBytes } from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = process.env.YDC_CONVERSATION_DB_PATH ? dirname(process.env.YDC_CONVERSATION_DB_PATH) : join(__dirname, '..');
+const DEFAULT_DB_PATH = process.env.YDC_BATCH_DB_PATH || join(DATA_DIR, 'batches.db');
+const DEFAULT_FILES_DIR = process.env.YDC_FILES_DIR || join(DATA_DIR, 'files');
+const SAVE_DELAY = 1000;
+
+export const FINISHED_BATCH_STATUSES = ['failed', 'completed', 'expired', 'cancelled'];
+
+export class BatchStore {
+  constructor() {
+    this.db = null;
+    this.dbPath = null;
+    this.filesDir = null;
+    // File contents when not persistent
+    this.contents = new Map();
+    this.saveTimeout = null;
+  }
+
+  get persistent() {
+    return !!this.db && !!this.dbPath;
+  }
+
+  /**
+   * Load sql.js and the batch DB (in memory only when dbPath is null); files and batches
+   * are unavailable if sql.js fails to load
+   */
+  async open(dbPath = DEFAULT_DB_PATH, filesDir = DEFAULT_FILES_DIR) {
+    try {
+      const initSqlJs = (await import('sql.js')).default;
+      const SQL = await initSqlJs();
+      this.dbPath = dbPath;
+      this.filesDir = dbPath ? filesDir : null;
+      if (dbPath && existsSync(dbPath)) {
+        try {
+          this.db = new SQL.Database(readFileSync(dbPath));
+        } catch (error) {
+          console.error('⚠️ Failed to load batch database, creating new one:', error.message);
+        }
+      }
+      this.db = this.db || new SQL.Database();
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS files (
+          id TEXT PRIMARY KEY,
+          owner TEXT,
+          filename TEXT NOT NULL,
+          purpose TEXT NOT NULL,
+          bytes INTEGER NOT NULL,
+          created_at INTEGER NOT NULL
+        )
+      `);
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS batches (
+          id TEXT PRIMARY KEY,
+          owner TEXT,
+          status TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          batch TEXT NOT NULL
+        )
+      `);
+      // One row per finished request line; turned into the output/error files when the batch ends
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS batch_results (
+          batch_id TEXT NOT NULL,
+          line INTEGER NOT NULL,
+          failed INTEGER NOT NULL DEFAULT 0,
+          result TEXT NOT NULL,
+          PRIMARY KEY (batch_id, line)
+        )
+      `);
+      if (this.filesDir) mkdirSync(this.filesDir, { recursive: true });
+      process.once('exit', () => this.save());
+    } catch (error) {
+      console.error('⚠️ Failed to open batch database, files and batches disabled:', error.message);
+      this.db = null;
+    }
+    return this;
+  }
+
+  scheduleSave() {
+    if (!this.dbPath || this.saveTimeout) return;
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, SAVE_DELAY);
+    this.saveTimeout.unref?.();
+  }
+
+  save() {
+    if (!this.db || !this.dbPath) return;
+    try {
+      writeFileSync(this.dbPath, Buffer.from(this.db.export()));
+    } catch (error) {
+      console.error('⚠️ Failed to save batch database:', error.message);
+    }
+  }
+
+  rows(sql, params = []) {
+    const result = this.db.exec(sql, params);
+    if (!result.length) return [];
+    return result[0].values.map(values => Object.fromEntries(result[0].columns.map((column, i) => [column, values[i]])));
+  }
+
+  // ---- Files ----
+
+  /**
+   * Store an uploaded file
+   * @returns {object} OpenAI file object
+   */
+  createFile({ filename, purpose, data, owner = null }) {
+    const file = {
+      id: `file-${randomBytes(12).toString('hex')}`,
+      object: 'file',
+      bytes: data.length,
+      created_at: Math.floor(Date.now() / 1000),
+      filename,
+      purpose,
+      status: 'processed',
+      expires_at: null
+    };
+    if (this.filesDir) {
+      writeFileSync(join(this.filesDir, file.id), data);
+    } else {
+      this.contents.set(file.id, data);
+    }
+    this.db.run('INSERT INTO files (id, owner, filename, purpose, bytes, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [file.id, owner, filename, purpose, file.bytes, file.created_at]);
+    this.scheduleSave();
+    return file;
+  }
+
+  toFileEntry(row) {
+    return {
+      file: {
+        id: row.id,
+        object: 'file',
+        bytes: row.bytes,
+        created_at: row.created_at,
+        filename: row.filename,
+        purpose: row.purpose,
+        status: 'processed',
+        expires_at: null
+      },
+      owner: row.owner
+    };
+  }
+
+  /**
+   * Stored entry ({ file, owner }) or null
+   */
+  getFile(id) {
+    const [row] = this.rows('SELECT * FROM files WHERE id = ?', [id]);
+    return row ? this.toFileEntry(row) : null;
+  }
+
+  /**
+   * Stored entries ({ file, owner }), only those of `owner` / `purpose` when given, oldest first
+   */
+  listFiles({ owner = null, purpose = null } = {}) {
+    const where = [];
+    const params = [];
+    if (owner !== null) {
+      where.push('owner = ?');
+      params.push(owner);
+    }
+    if (purpose) {
+      where.push('purpose = ?');
+      params.push(purpose);
+    }
+    return this.rows(`SELECT * FROM files ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at, rowid`, params)
+      .map(row => this.toFileEntry(row));
+  }
+
+  getFileContent(id) {
+    if (!this.filesDir) return this.contents.get(id) || null;
+    const path = join(this.filesDir, id);
+    return existsSync(path) ? readFileSync(path) : null;
+  }
+
+  deleteFile(id) {
+    this.db.run('DELETE FROM files WHERE id = ?', [id]);
+    const deleted = this.db.getRowsModified() > 0;
+    if (this.filesDir) {
+      const path = join(this.filesDir, id);
+      if (existsSync(path)) unlinkSync(path);
+    } else {
+      this.contents.delete(id);
+    }
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  // ---- Batches ----
+
+  saveBatch(batch, owner = null) {
+    this.db.run('INSERT OR REPLACE INTO batches (id, owner, status, created_at, batch) VALUES (?, ?, ?, ?, ?)',
+      [batch.id, owner, batch.status, batch.created_at, JSON.stringify(batch)]);
+    this.scheduleSave();
+  }
+
+  /**
+   * Stored entry ({ batch, owner }) or null
+   */
+  getBatch(id) {
+    const [row] = this.rows('SELECT owner, batch FROM batches WHERE id = ?', [id]);
+    return row ? { batch: JSON.parse(row.batch), owner: row.owner } : null;
+  }
+
+  /**
+   * Stored entries ({ batch, owner }), only those of `owner` when given, oldest first
+   */
+  listBatches(owner = null) {
+    const rows = owner === null
+      ? this.rows('SELECT owner, batch FROM batches ORDER BY created_at, rowid')
+      : this.rows('SELECT owner, batch FROM batches WHERE owner = ? ORDER BY created_at, rowid', [owner]);
+    return rows.map(row => ({ batch: JSON.parse(row.batch), owner: row.owner }));
+  }
+
+  /**
+   * Batches a previous process left running
+   */
+  listUnfinishedBatches() {
+    const statuses = FINISHED_BATCH_STATUSES.map(() => '?').join(', ');
+    return this.rows(`SELECT owner, batch FROM batches WHERE status NOT IN (${statuses}) ORDER BY created_at, rowid`, FINISHED_BATCH_STATUSES)
+      .map(row => ({ batch: JSON.parse(row.batch), owner: row.owner }));
+  }
+
+  recordResult(batchId, line, result, failed = false) {
+    this.db.run('INSERT OR REPLACE INTO batch_results (batch_id, line, failed, result) VALUES (?, ?, ?, ?)',
+      [batchId, line, failed ? 1 : 0, JSON.stringify(result)]);
+    this.scheduleSave();
+  }
+
+  /**
+   * Finished lines of a batch in input order: [{ line, failed, result }]
+   */
+  getResults(batchId) {
+    return this.rows('SELECT line, failed, result FROM batch_results WHERE batch_id = ? ORDER BY line', [batchId])
+      .map(row => ({ line: row.line, failed: !!row.failed, result: JSON.parse(row.result) }));
+  }
+
+  clearResults(batchId) {
+    this.db.run('DELETE FROM batch_results WHERE batch_id = ?', [batchId]);
+    this.scheduleSave();
+  }
+}
+
+let batchStore = null;
+
+/**
+ * Shared batch store (open it with openBatchStore before use)
+ */
+export function getBatchStore() {
+  if (!batchStore) batchStore = new BatchStore();
+  return batchStore;
+}
+
+/**
+ * Open the shared batch store (not written to disk when YDC_CONVERSATION_STORE=memory)
+ */
+export async function openBatchStore(options = {}) {
+  const { dbPath = DEFAULT_DB_PATH, filesDir = DEFAULT_FILES_DIR, storeType = process.env.YDC_CONVERSATION_STORE || 'sqlite' } = options;
+  return getBatchStore().open(storeType === 'memory' ? null : dbPath, filesDir);
+}
+
+export const batchStoreConfig = {
+  DB_PATH: DEFAULT_DB_PATH,
+  FILES_DIR: DEFAULT_FILES_DIR
+};
@@ -0,0 +1,184 @@
+/**
+ * Chat Completion Module
+ * The chat completion pipeline shared by /v1/chat/completions and the batch runner:
+ * checks of the options the request schema cannot cover (response_format, n, stop,
+ * max tokens, content parts) and non-streaming completions, with `n` fan-out and
+ * structured output. /v1/responses also reads its upstream streams through readAnswerStream.
+ */
+
+import { convertToOpenAIResponse, combineChoices, createUsage } from './openai-mapper.js';
+import { getFunctionTools, mayBeToolCall, parseToolCalls } from './tool-calls.js';
+import { parseResponseFormat, generateStructuredOutput } from './structured-output.js';
+import { OutputLimiter, parseStopSequences, parseMaxTokens } from './output-limits.js';
+import { countTokens } from './token-counter.js';
+import { normalizeMessages, ContentPartError } from './content-parts.js';
+import { extractText } from './api-client.js';
+import { getKeyPool } from './key-pool.js';
+import { parseYouStream, getAnswerIncrement, STREAM_EVENTS } from './stream-parser.js';
+import { mergeSources } from './sources.js';
+
+const keyPool = getKeyPool();
+
+// Upper bound for the `n` parameter (parallel upstream runs per request)
+const MAX_CHOICES = parseInt(process.env.YDC_MAX_CHOICES) || 8;
+
+/**
+ * Invalid chat request option, answered as a 400 invalid_request_error
+ */
+export class ChatRequestError extends Error {
+  constructor(message, param, code) {
+    super(message);
+    this.name = 'ChatRequestError';
+    this.param = param;
+    this.code = code;
+  }
+}
+
+/**
+ * Check and normalize the options of a (schema-valid) chat completion request
+ * @returns {{ responseFormat: object|null, n: number, limits: object, messages: object[] }}
+ * @throws {ChatRequestError}
+ */
+export function parseChatRequest(body) {
+  let responseFormat;
+  try {
+    responseFormat = parseResponseFormat(body.response_format);
+  } catch (error) {
+    throw new ChatRequestError(error.message, 'response_format', 'invalid_response_format');
+  }
+
+  const n = body.n ?? 1;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) {
+    throw new ChatRequestError(`n must be an integer between 1 and ${MAX_CHOICES}`, 'n', 'invalid_n');
+  }
+
+  // Stop sequences and max_tokens are enforced on the proxy side (see output-limits.js)
+  const limits = { stop: [], maxTokens: null };
+  try {
+    limits.stop = parseStopSequences(body.stop);
+  } catch (error) {
+    throw new ChatRequestError(error.message, 'stop', 'invalid_stop');
+  }
+  const maxTokensParam = body.max_completion_tokens !== undefined ? 'max_completion_tokens' : 'max_tokens';
+  try {
+    limits.maxTokens = parseMaxTokens(body[maxTokensParam], maxTokensParam);
+  } catch (error) {
+    throw new ChatRequestError(error.message, maxTokensParam, 'invalid_max_tokens');
+  }
+  // Cutting a validated JSON answer short would break it
+  if (responseFormat && limits.stop.length > 0) {
+    throw new ChatRequestError('stop cannot be combined with response_format', 'stop', 'unsupported_parameter');
+  }
+  if (responseFormat && limits.maxTokens !== null) {
+    throw new ChatRequestError(`${maxTokensParam} cannot be combined with response_format`, maxTokensParam, 'unsupported_parameter');
+  }
+
+  // Content part arrays become text; attachments follow YDC_ATTACHMENT_POLICY
+  let messages;
+  try {
+    messages = normalizeMessages(body.messages || []);
+  } catch (error) {
+    if (!(error instanceof ContentPartError)) throw error;
+    throw new ChatRequestError(error.message, error.param, 'unsupported_content');
+  }
+
+  return { responseFormat, n, limits, messages };
+}
+
+/**
+ * Run a non-streaming chat completion: `n` parallel upstream runs (validated and repaired
+ * when there is a response_format), combined into one chat.completion object
+ * @param {object} options
+ * @param {object} options.body - chat completion request (model, tools, tool_choice)
+ * @param {object} options.youParams - upstream request from mapOpenAIToYouParams
+ * @param {object} options.callOptions - keyPool.call options, with `controller`'s signal
+ * @param {AbortController} options.controller - aborted when a run fails, to stop the others
+ * @returns {Promise<object>} chat.completion with usage
+ * @throws {YouApiError|StructuredOutputError}
+ */
+export async function createChatCompletion({ body, youParams, responseFormat = null, n = 1, limits = null, callOptions, controller, promptTokens }) {
+  const model = body.model || 'advanced';
+  const functionTools = getFunctionTools(body.tools, body.tool_choice).tools;
+  const params = { ...youParams, stream: false };
+
+  if (!responseFormat) {
+    const responses = await keyPool.callAll(Array.from({ length: n }, () => params), callOptions, controller);
+    const completions = [];
+    for (const response of responses) {
+      const data = await response.json();
+      console.log('📥 You.com response:', JSON.stringify(data, null, 2));
+      completions.push(convertToOpenAIResponse(data, model, { functionTools, limits, promptTokens }));
+    }
+    return combineChoices(completions);
+  }
+
+  const runStructured = async () => {
+    let data = null;
+    const result = await generateStructuredOutput({
+      input: params.input,
+      format: responseFormat,
+      accept: answer => !!parseToolCalls(answer, functionTools),
+      run: async input => {
+        const response = await keyPool.call({ ...params, input }, callOptions);
+        data = await response.json();
+        return extractText(data);
+      }
+    });
+
+    const completion = convertToOpenAIResponse(data, model, { functionTools, promptTokens });
+    const message = completion.choices[0].message;
+    if (!message.tool_calls) {
+      message.content = result.text;
+      completion.usage = createUsage(completion.usage.prompt_tokens, countTokens(result.text));
+      delete message.annotations;
+    }
+    console.log(`📥 Structured output ready after ${result.attempts} attempt(s)`);
+    return completion;
+  };
+
+  // The first failure stops the other choices
+  return combineChoices(await Promise.all(Array.from({ length: n }, () => runStructured().catch(error => {
+    controller.abort();
+    throw error;
+  }))));
+}
+
+/**
+ * Read one streaming upstream run as answer text, with stop / max tokens applied. With
+ * function tools, text is held back until the reply is known not to be a tool call.
+ * @param {Response} response - streaming upstream response
+ * @param {object} options
+ * @param {function(string)} options.onText - called with each piece of text that may be shown
+ * @param {function()} [options.onActivity] - called whenever upstream sends answer text
+ * @returns {Promise<{ text: string, toolCalls: object[]|null, sources: object[], limitReason: string|null }>}
+ * @throws {Error} stream errors, including the one from an aborted signal
+ */
+export async function readAnswerStream(response, { functionTools = [], limits = null, onText, onActivity = null }) {
+  const limiter = new OutputLimiter(limits);
+  const sources = [];
+  let content = '';
+  let holding = functionTools.length > 0;
+  const emit = text => {
+    if (text) onText(text);
+  };
+
+  for await (const event of parseYouStream(response.body)) {
+    if (event.type === STREAM_EVENTS.ERROR) throw new Error(event.message);
+    if (event.sources?.length) mergeSources(sources, event.sources);
+
+    const text = getAnswerIncrement(event, content);
+    if (!text) continue;
+    onActivity?.();
+    content += text;
+    if (holding && mayBeToolCall(content)) continue;
+    emit(limiter.push(holding ? content : text));
+    holding = false;
+    // Limit reached: leaving the loop cancels the upstream stream
+    if (limiter.done) break;
+  }
+
+  const toolCalls = holding ? parseToolCalls(content, functionTools) : null;
+  if (toolCalls) return { text: '', toolCalls, sources, limitReason: null };
+  emit(limiter.push(holding ? content : '') + limiter.finish());
+  return { text: limiter.output, toolCalls: null, sources, limitReason: limiter.reason };
+}
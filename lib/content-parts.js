@@ -0,0 +1,120 @@
+/**
+ * Content Parts Module
+ * Turns OpenAI message content (a string or an array of content parts) into prompt text.
+ * Text parts are concatenated; image, audio and file parts cannot be sent to You.com
+ * agents, so YDC_ATTACHMENT_POLICY decides what happens to them:
+ *   reject  - the request fails with a 400
+ *   drop    - the part is replaced by a short note (default)
+ *   extract - text files sent as data URLs are inlined, other parts get the note
+ */
+
+export const ATTACHMENT_POLICIES = ['reject', 'drop', 'extract'];
+
+const ATTACHMENT_POLICY = ATTACHMENT_POLICIES.includes(process.env.YDC_ATTACHMENT_POLICY)
+  ? process.env.YDC_ATTACHMENT_POLICY
+  : 'drop';
+
+const TEXT_PART_TYPES = ['text', 'input_text', 'output_text'];
+const ATTACHMENT_PART_TYPES = ['image_url', 'input_image', 'input_audio', 'file', 'input_file'];
+
+const TEXT_MIME_PATTERN = /^(text\/[\w.+-]+|application\/(json|xml|javascript|x-yaml|yaml|csv|x-sh|sql|[\w.-]+\+(json|xml)))$/i;
+
+/**
+ * Raised for content parts the attachment policy does not allow (routes answer 400)
+ */
+export class ContentPartError extends Error {
+  constructor(message, param = 'messages') {
+    super(message);
+    this.name = 'ContentPartError';
+    this.param = param;
+  }
+}
+
+/**
+ * Text of a message content without applying the attachment policy (for logs and
+ * best-effort mapping; attachments are skipped)
+ */
+export function getTextContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content === null || content === undefined ? '' : String(content);
+  return content
+    .filter(part => TEXT_PART_TYPES.includes(part?.type))
+    .map(part => part.text ?? '')
+    .join('\n');
+}
+
+function parseDataUrl(url) {
+  const match = typeof url === 'string' && url.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) return null;
+  const base64 = match[2].split(';').includes('base64');
+  return {
+    mimeType: (match[1] || 'text/plain').toLowerCase(),
+    data: base64 ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]))
+  };
+}
+
+function describeAttachment(part) {
+  switch (part.type) {
+    case 'image_url':
+    case 'input_image': {
+      const url = part.image_url?.url ?? part.image_url ?? part.file_id ?? '';
+      const dataUrl = parseDataUrl(url);
+      return { kind: 'image', label: dataUrl ? dataUrl.mimeType : String(url).slice(0, 200), dataUrl: null };
+    }
+    case 'input_audio':
+      return { kind: 'audio', label: part.input_audio?.format || 'audio', dataUrl: null };
+    default: {
+      const file = part.type === 'file' ? part.file || {} : part;
+      const dataUrl = parseDataUrl(file.file_data);
+      return {
+        kind: 'file',
+        label: file.filename || file.file_id || dataUrl?.mimeType || 'file',
+        dataUrl
+      };
+    }
+  }
+}
+
+function renderAttachment(part, policy, param) {
+  const attachment = describeAttachment(part);
+  if (policy === 'reject') {
+    throw new ContentPartError(`Content part type "${part.type}" is not supported: this server only accepts text content`, param);
+  }
+  if (policy === 'extract' && attachment.dataUrl && TEXT_MIME_PATTERN.test(attachment.dataUrl.mimeType)) {
+    return `[File: ${attachment.label}]\n${attachment.dataUrl.data.toString('utf8')}\n[End of file]`;
+  }
+  return `[Attachment omitted: ${attachment.kind} (${attachment.label})]`;
+}
+
+/**
+ * Prompt text of a message content, applying the attachment policy
+ * @param {string|object[]} content
+ * @param {object} options
+ * @param {string} options.policy - one of ATTACHMENT_POLICIES
+ * @param {string} options.param - request location used in errors (e.g. messages[0].content)
+ */
+export function contentToText(content, { policy = ATTACHMENT_POLICY, param = 'messages' } = {}) {
+  if (!Array.isArray(content)) return getTextContent(content);
+
+  return content.map((part, index) => {
+    const partParam = `${param}[${index}]`;
+    if (TEXT_PART_TYPES.includes(part?.type)) return part.text ?? '';
+    if (part?.type === 'refusal') return part.refusal ?? '';
+    if (ATTACHMENT_PART_TYPES.includes(part?.type)) return renderAttachment(part, policy, partParam);
+    throw new ContentPartError(`Unsupported content part type: ${part?.type}`, partParam);
+  }).filter(text => text).join('\n');
+}
+
+/**
+ * Messages with content arrays flattened to text (see contentToText)
+ */
+export function normalizeMessages(messages, options = {}) {
+  if (!Array.isArray(messages)) return messages;
+  return messages.map((message, index) => Array.isArray(message?.content)
+    ? { ...message, content: contentToText(message.content, { ...options, param: `messages[${index}].content` }) }
+    : message);
+}
+
+export const contentPartsConfig = {
+  ATTACHMENT_POLICY
+};
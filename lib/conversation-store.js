@@ -76,7 +76,8 @@ async function initDatabase() {
         id TEXT PRIMARY KEY,
         metadata TEXT DEFAULT '{}',
         created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL
+        updated_at INTEGER NOT NULL,
+        owner TEXT
       )
     `);
     
@@ -87,12 +88,26 @@ async function initDatabase() {
         role TEXT NOT NULL,
         content TEXT NOT NULL,
         timestamp INTEGER NOT NULL,
+        metadata TEXT DEFAULT '{}',
         FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
       )
     `);
     
+    // Migrate databases created before messages had metadata
+    const messageColumns = db.exec('PRAGMA table_info(messages)');
+    if (messageColumns.length && !messageColumns[0].values.some(row => row[1] === 'metadata')) {
+      db.run("ALTER TABLE messages ADD COLUMN metadata TEXT DEFAULT '{}'");
+    }
+    
+    // Migrate databases created before conversations had an owner (existing rows stay unowned)
+    const conversationColumns = db.exec('PRAGMA table_info(conversations)');
+    if (conversationColumns.length && !conversationColumns[0].values.some(row => row[1] === 'owner')) {
+      db.run('ALTER TABLE conversations ADD COLUMN owner TEXT');
+    }
+    
     db.run(`CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations(updated_at)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_conversations_owner ON conversations(owner)`);
     
     // Save initial database
     scheduleSave();
@@ -125,14 +140,15 @@ export function getConversation(conversationId) {
   if (!convResult.length || !convResult[0].values.length) return null;
   
   const conv = convResult[0].values[0];
-  const [id, metadata, created_at, updated_at] = conv;
-
-  const messagesResult = db.exec('SELECT role, content, timestamp FROM messages WHERE conversation_id = ? ORDER BY id', [conversationId]);
-  const messages = messagesResult.length ? messagesResult[0].values.map(row => ({
-    role: row[0],
-    content: row[1],
-    timestamp: row[2]
-  })) : [];
+  const [id, metadata, created_at, updated_at, owner] = conv;
+
+  const messagesResult = db.exec('SELECT role, content, timestamp, metadata FROM messages WHERE conversation_id = ? ORDER BY id', [conversationId]);
+  const messages = messagesResult.length ? messagesResult[0].values.map(row => {
+    const message = { role: row[0], content: row[1], timestamp: row[2] };
+    const messageMetadata = JSON.parse(row[3] || '{}');
+    if (Object.keys(messageMetadata).length > 0) message.metadata = messageMetadata;
+    return message;
+  }) : [];
   
   db.run('UPDATE conversations SET updated_at = ? WHERE id = ?', [Date.now(), conversationId]);
   scheduleSave();
@@ -141,29 +157,56 @@ export function getConversation(conversationId) {
     id,
     messages,
     metadata: JSON.parse(metadata || '{}'),
+    owner: owner || null,
     createdAt: created_at,
     updatedAt: Date.now()
   };
 }
 
-export function createConversation(conversationId = null, metadata = {}) {
+/**
+ * Create a conversation; owner is the id of the API client it belongs to (null = unowned)
+ */
+export function createConversation(conversationId = null, metadata = {}, owner = null) {
   const id = conversationId || generateConversationId();
   const now = Date.now();
 
   if (STORE_TYPE === 'memory' || !db) {
-    const conv = { id, messages: [], createdAt: now, updatedAt: now, metadata };
+    const conv = { id, messages: [], createdAt: now, updatedAt: now, metadata, owner };
     memoryStore.set(id, conv);
     return conv;
   }
 
-  db.run('INSERT OR REPLACE INTO conversations (id, metadata, created_at, updated_at) VALUES (?, ?, ?, ?)',
-    [id, JSON.stringify(metadata), now, now]);
+  db.run('INSERT OR REPLACE INTO conversations (id, metadata, created_at, updated_at, owner) VALUES (?, ?, ?, ?, ?)',
+    [id, JSON.stringify(metadata), now, now, owner]);
   scheduleSave();
 
-  return { id, messages: [], createdAt: now, updatedAt: now, metadata };
+  return { id, messages: [], createdAt: now, updatedAt: now, metadata, owner };
+}
+
+/**
+ * Replace a conversation's metadata; returns false when it does not exist
+ */
+export function updateConversationMetadata(conversationId, metadata) {
+  const now = Date.now();
+
+  if (STORE_TYPE === 'memory' || !db) {
+    const conv = memoryStore.get(conversationId);
+    if (!conv) return false;
+    conv.metadata = metadata;
+    conv.updatedAt = now;
+    return true;
+  }
+
+  db.run('UPDATE conversations SET metadata = ?, updated_at = ? WHERE id = ?', [JSON.stringify(metadata), now, conversationId]);
+  const updated = db.getRowsModified() > 0;
+  if (updated) scheduleSave();
+  return updated;
 }
 
-export function addMessageToConversation(conversationId, role, content) {
+/**
+ * Append a message; optional metadata (e.g. { interrupted: true }) is stored with it
+ */
+export function addMessageToConversation(conversationId, role, content, metadata = null) {
   const now = Date.now();
 
   if (STORE_TYPE === 'memory' || !db) {
@@ -177,7 +220,7 @@ export function addMessageToConversation(conversationId, role, content) {
       conv.messages = systemMsg ? [systemMsg, ...conv.messages.slice(-MAX_MESSAGES_PER_CONVERSATION + 2)] : conv.messages.slice(-MAX_MESSAGES_PER_CONVERSATION + 1);
     }
     
-    conv.messages.push({ role, content, timestamp: now });
+    conv.messages.push({ role, content, timestamp: now, ...(metadata && { metadata }) });
     conv.updatedAt = now;
     return conv;
   }
@@ -215,8 +258,8 @@ export function addMessageToConversation(conversationId, role, content) {
     }
   }
 
-  db.run('INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, ?, ?, ?)',
-    [conversationId, role, content, now]);
+  db.run('INSERT INTO messages (conversation_id, role, content, timestamp, metadata) VALUES (?, ?, ?, ?, ?)',
+    [conversationId, role, content, now, JSON.stringify(metadata || {})]);
   
   db.run('UPDATE conversations SET updated_at = ? WHERE id = ?', [now, conversationId]);
   scheduleSave();
@@ -225,27 +268,34 @@ export function addMessageToConversation(conversationId, role, content) {
 }
 
 
-export function listAllConversations() {
+/**
+ * List conversations, only those of `owner` when given
+ */
+export function listAllConversations(owner = null) {
   if (STORE_TYPE === 'memory' || !db) {
     const conversations = [];
     for (const [id, conv] of memoryStore.entries()) {
+      if (owner !== null && conv.owner !== owner) continue;
       conversations.push({
         id,
         message_count: conv.messages.length,
         created_at: new Date(conv.createdAt).toISOString(),
         updated_at: new Date(conv.updatedAt).toISOString(),
         metadata: conv.metadata,
+        owner: conv.owner || null,
         preview: conv.messages.slice(-1)[0]?.content?.substring(0, 100) || ''
       });
     }
     return conversations.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
   }
 
-  const convsResult = db.exec('SELECT * FROM conversations ORDER BY updated_at DESC');
+  const convsResult = owner === null
+    ? db.exec('SELECT * FROM conversations ORDER BY updated_at DESC')
+    : db.exec('SELECT * FROM conversations WHERE owner = ? ORDER BY updated_at DESC', [owner]);
   if (!convsResult.length) return [];
   
   return convsResult[0].values.map(conv => {
-    const [id, metadata, created_at, updated_at] = conv;
+    const [id, metadata, created_at, updated_at, convOwner] = conv;
     const lastMsgResult = db.exec('SELECT content FROM messages WHERE conversation_id = ? ORDER BY id DESC LIMIT 1', [id]);
     const msgCountResult = db.exec('SELECT COUNT(*) as count FROM messages WHERE conversation_id = ?', [id]);
     
@@ -255,6 +305,7 @@ export function listAllConversations() {
       created_at: new Date(created_at).toISOString(),
       updated_at: new Date(updated_at).toISOString(),
       metadata: JSON.parse(metadata || '{}'),
+      owner: convOwner || null,
       preview: lastMsgResult.length && lastMsgResult[0].values.length ? lastMsgResult[0].values[0][0]?.substring(0, 100) || '' : ''
     };
   });
@@ -271,17 +322,36 @@ export function deleteConversation(conversationId) {
   return true;
 }
 
-export function clearAllConversations() {
+/**
+ * Delete every conversation, only those of `owner` when given
+ */
+export function clearAllConversations(owner = null) {
   if (STORE_TYPE === 'memory' || !db) {
-    const count = memoryStore.size;
-    memoryStore.clear();
+    if (owner === null) {
+      const count = memoryStore.size;
+      memoryStore.clear();
+      return count;
+    }
+    let count = 0;
+    for (const [id, conv] of memoryStore.entries()) {
+      if (conv.owner === owner && memoryStore.delete(id)) count++;
+    }
     return count;
   }
 
-  const countResult = db.exec('SELECT COUNT(*) as count FROM conversations');
+  if (owner === null) {
+    const countResult = db.exec('SELECT COUNT(*) as count FROM conversations');
+    const count = countResult.length ? countResult[0].values[0][0] : 0;
+    db.run('DELETE FROM messages');
+    db.run('DELETE FROM conversations');
+    scheduleSave();
+    return count;
+  }
+
+  const countResult = db.exec('SELECT COUNT(*) as count FROM conversations WHERE owner = ?', [owner]);
   const count = countResult.length ? countResult[0].values[0][0] : 0;
-  db.run('DELETE FROM messages');
-  db.run('DELETE FROM conversations');
+  db.run('DELETE FROM messages WHERE conversation_id IN (SELECT id FROM conversations WHERE owner = ?)', [owner]);
+  db.run('DELETE FROM conversations WHERE owner = ?', [owner]);
   scheduleSave();
   return count;
 }
@@ -353,6 +423,7 @@ export const storeConfig = {
   STORE_TYPE,
   DB_PATH,
   MAX_CONVERSATIONS,
+  MAX_MESSAGES_PER_CONVERSATION,
   CONVERSATION_TTL,
   isDbConnected: () => !!db
 };
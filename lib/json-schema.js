@@ -0,0 +1,225 @@
+/**
+ * JSON Schema Module
+ * Small JSON Schema validator for structured outputs, covering the keywords models and
+ * OpenAI-style response_format schemas use: type, enum, const, properties, required,
+ * additionalProperties, items, prefixItems, min/max (Length, Items, Properties, imum),
+ * exclusiveMinimum/Maximum, multipleOf, pattern, format (date-time, date, email, uri),
+ * allOf/anyOf/oneOf/not, $ref to local definitions ($defs / definitions)
+ */
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:/i.test(value)
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(1).split('/').filter(part => part)
+    .map(part => decodeURIComponent(part.replace(/~1/g, '/').replace(/~0/g, '~')))
+    .reduce((node, part) => {
+      if (node?.[part] === undefined) throw new Error(`Unresolved $ref: ${ref}`);
+      return node[part];
+    }, root);
+}
+
+function validateNode(schema, value, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push(`${path}: no value is allowed here`);
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(resolveRef(schema.$ref, root), value, path, root, errors);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = typeOf(value);
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path}: must match pattern ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push(`${path}: must be a valid ${schema.format}`);
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push(`${path}: must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) errors.push(`${path}: items must be unique`);
+    const prefix = schema.prefixItems || [];
+    value.forEach((item, i) => {
+      validateNode(i < prefix.length ? prefix[i] : schema.items, item, `${path}[${i}]`, root, errors);
+    });
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    });
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) errors.push(`${path}: must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push(`${path}: must have at most ${schema.maxProperties} properties`);
+    keys.forEach(key => {
+      const childPath = `${path}.${key}`;
+      if (key in properties) {
+        validateNode(properties[key], value[key], childPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, value[key], childPath, root, errors);
+      }
+    });
+  }
+
+  if (schema.allOf) schema.allOf.forEach(sub => validateNode(sub, value, path, root, errors));
+  if (schema.anyOf && !schema.anyOf.some(sub => validateJsonSchema(sub, value, path, root).length === 0)) {
+    errors.push(`${path}: must match at least one of the allowed schemas`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateJsonSchema(sub, value, path, root).length === 0).length;
+    if (matches !== 1) errors.push(`${path}: must match exactly one of the allowed schemas (matched ${matches})`);
+  }
+  if (schema.not && validateJsonSchema(schema.not, value, path, root).length === 0) {
+    errors.push(`${path}: must not match the excluded schema`);
+  }
+}
+
+// Keywords holding subschemas: name -> schema maps, schema lists, single schemas
+const SCHEMA_MAPS = ['properties', '$defs', 'definitions'];
+const SCHEMA_LISTS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SCHEMA_VALUES = ['items', 'additionalProperties', 'not'];
+// Keywords that apply another schema to the same value (a cycle through them never ends)
+const IN_PLACE = ['allOf', 'anyOf', 'oneOf'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function hasInPlaceCycle(node, root, visiting, done) {
+  if (!isPlainObject(node) || done.has(node)) return false;
+  if (visiting.has(node)) return true;
+  visiting.add(node);
+  const next = [node.$ref !== undefined ? resolveRef(node.$ref, root) : null, node.not, ...IN_PLACE.flatMap(key => node[key] || [])];
+  const cycle = next.some(child => hasInPlaceCycle(child, root, visiting, done));
+  visiting.delete(node);
+  done.add(node);
+  return cycle;
+}
+
+/**
+ * Check that a schema (e.g. one sent by a client) can be used by validateJsonSchema:
+ * subschemas are objects or booleans, patterns compile, and local $refs resolve without
+ * looping back to the same value
+ * @returns {string[]} problems with JSONPath-like locations in the schema (empty when usable)
+ */
+export function checkJsonSchema(schema) {
+  const errors = [];
+  const nodes = [];
+
+  const check = (node, path) => {
+    if (typeof node === 'boolean') return;
+    if (!isPlainObject(node)) {
+      errors.push(`${path}: must be a schema object or boolean`);
+      return;
+    }
+    nodes.push(node);
+    if (node.pattern !== undefined) {
+      try {
+        new RegExp(node.pattern, 'u');
+      } catch (error) {
+        errors.push(`${path}.pattern: ${error.message}`);
+      }
+    }
+    if (node.$ref !== undefined) {
+      try {
+        if (typeof node.$ref !== 'string') throw new Error('$ref must be a string');
+        resolveRef(node.$ref, schema);
+      } catch (error) {
+        errors.push(`${path}.$ref: ${error.message}`);
+      }
+    }
+    ['enum', 'required'].forEach(key => {
+      if (node[key] !== undefined && !Array.isArray(node[key])) errors.push(`${path}.${key}: must be an array`);
+    });
+    SCHEMA_MAPS.forEach(key => {
+      if (node[key] === undefined) return;
+      if (!isPlainObject(node[key])) {
+        errors.push(`${path}.${key}: must be an object of schemas`);
+        return;
+      }
+      Object.entries(node[key]).forEach(([name, child]) => check(child, `${path}.${key}.${name}`));
+    });
+    SCHEMA_LISTS.forEach(key => {
+      if (node[key] === undefined) return;
+      if (!Array.isArray(node[key])) {
+        errors.push(`${path}.${key}: must be an array of schemas`);
+        return;
+      }
+      node[key].forEach((child, i) => check(child, `${path}.${key}[${i}]`));
+    });
+    SCHEMA_VALUES.forEach(key => {
+      if (node[key] !== undefined) check(node[key], `${path}.${key}`);
+    });
+  };
+
+  check(schema, '$');
+  if (errors.length === 0) {
+    const done = new Set();
+    if (nodes.some(node => hasInPlaceCycle(node, schema, new Set(), done))) {
+      errors.push('$: $ref cycle that never reaches a value');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @returns {string[]} error messages with JSONPath-like locations (empty when valid)
+ */
+export function validateJsonSchema(schema, value, path = '$', root = schema) {
+  const errors = [];
+  validateNode(schema, value, path, root, errors);
+  return errors;
+}
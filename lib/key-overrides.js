@@ -0,0 +1,57 @@
+/**
+ * Key Overrides Module
+ * Runtime key changes (added/removed/disabled keys, rotation mode) kept in a local JSON
+ * file on top of YDC_API_KEYS, so they survive restarts and reach every process using it
+ *
+ * File format:
+ * {
+ *   "mode": "round-robin",
+ *   "added": [{ "key": "...", "budget": { "daily": 100, "monthly": null } }],
+ *   "removed": ["<key id>"],
+ *   "disabled": { "<key id>": "reason" },
+ *   "enabled": { "<key id>": 1700000000000 }   // manual re-enable time
+ * }
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync, writeFileSync, existsSync, renameSync, watchFile } from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_KEYS_FILE = process.env.YDC_KEYS_FILE ||
+  join(process.env.YDC_CONVERSATION_DB_PATH ? dirname(process.env.YDC_CONVERSATION_DB_PATH) : join(__dirname, '..'), 'keys.json');
+const WATCH_INTERVAL = 2000;
+
+export function emptyOverrides() {
+  return { mode: null, added: [], removed: [], disabled: {}, enabled: {} };
+}
+
+export function readKeyOverrides(filePath = DEFAULT_KEYS_FILE) {
+  if (!existsSync(filePath)) return emptyOverrides();
+  try {
+    return { ...emptyOverrides(), ...JSON.parse(readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    console.error('⚠️ Failed to read key overrides, ignoring them:', error.message);
+    return emptyOverrides();
+  }
+}
+
+/**
+ * Write atomically (temp file + rename); the file holds raw keys, so it is owner-only
+ */
+export function writeKeyOverrides(filePath, overrides) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  writeFileSync(tempPath, JSON.stringify(overrides, null, 2), { mode: 0o600 });
+  renameSync(tempPath, filePath);
+}
+
+/**
+ * Call onChange with the new overrides whenever another process rewrites the file
+ */
+export function watchKeyOverrides(filePath, onChange) {
+  watchFile(filePath, { interval: WATCH_INTERVAL, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) onChange(readKeyOverrides(filePath));
+  });
+}
@@ -0,0 +1,561 @@
+/**
+ * API Key Pool Module
+ * Shared You.com key selection and per-key statistics for the MCP and HTTP servers
+ */
+
+import { createHash } from 'crypto';
+import { callYouApi, YouApiError } from './api-client.js';
+import { KeyUsageStore } from './key-usage-store.js';
+import { DEFAULT_KEYS_FILE, emptyOverrides, readKeyOverrides, writeKeyOverrides, watchKeyOverrides } from './key-overrides.js';
+
+const KEY_MODES = ['round-robin', 'sequential', 'random'];
+const DEFAULT_COOLDOWN_MS = 60000;
+const DEFAULT_QUARANTINE_THRESHOLD = 3;
+const DEFAULT_PROBE_INTERVAL_MS = 60000;
+const PROBE_REQUEST = { agent: 'express', input: 'ping', stream: false };
+
+/**
+ * Key lifecycle:
+ *   healthy       - in rotation
+ *   cooling-down  - rate limited (429), back in rotation once the cooldown ends
+ *   quarantined   - repeated 5xx/timeout/network failures, re-probed in the background
+ *   disabled      - rejected by upstream (401/403), only re-enabled manually
+ */
+export const KEY_STATES = {
+  HEALTHY: 'healthy',
+  COOLING_DOWN: 'cooling-down',
+  QUARANTINED: 'quarantined',
+  DISABLED: 'disabled'
+};
+
+function previewKey(key) {
+  return `${key.substring(0, 8)}...${key.substring(key.length - 4)}`;
+}
+
+// Stable id for persisted usage, so raw keys never reach the database
+function getKeyId(key) {
+  return createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+/**
+ * Parse YDC_KEY_BUDGETS: comma-separated `<key index>=<daily>/<monthly>` entries,
+ * `*` for the default, empty limits for unlimited (e.g. "*=1000/20000,2=100/")
+ */
+export function parseKeyBudgets(raw = '') {
+  const budgets = {};
+  for (const entry of raw.split(',').map(e => e.trim()).filter(e => e)) {
+    const [target, limits = ''] = entry.split('=');
+    const [daily, monthly] = limits.split('/').map(v => parseInt(v) || null);
+    budgets[target.trim()] = { daily: daily ?? null, monthly: monthly ?? null };
+  }
+  return budgets;
+}
+
+const NO_BUDGET = { daily: null, monthly: null };
+
+export class KeyPool {
+  constructor(keys = [], options = {}) {
+    const {
+      mode = 'round-robin',
+      cooldownMs = DEFAULT_COOLDOWN_MS,
+      quarantineThreshold = DEFAULT_QUARANTINE_THRESHOLD,
+      probeIntervalMs = DEFAULT_PROBE_INTERVAL_MS,
+      budgets = {},
+      usageStore = new KeyUsageStore()
+    } = options;
+    this.baseKeys = [...new Set(keys)];
+    this.baseMode = KEY_MODES.includes(mode) ? mode : 'round-robin';
+    this.budgets = budgets;
+    this.cooldownMs = cooldownMs;
+    this.quarantineThreshold = quarantineThreshold;
+    this.probeIntervalMs = probeIntervalMs;
+    this.probeTimer = null;
+    this.currentIndex = 0;
+    this.usageStore = usageStore;
+    this.overridesPath = null;
+    this.keys = [];
+    this.stats = new Map();
+    this.applyOverrides(emptyOverrides());
+  }
+
+  /**
+   * Rebuild the key list from the startup keys plus runtime overrides, keeping the
+   * statistics of keys that stay in the pool
+   */
+  applyOverrides(overrides) {
+    this.overrides = overrides;
+    this.mode = KEY_MODES.includes(overrides.mode) ? overrides.mode : this.baseMode;
+
+    const removed = new Set(overrides.removed);
+    const entries = [
+      ...this.baseKeys.map((key, index) => ({ key, budget: this.budgets[index] })),
+      ...overrides.added.map(({ key, budget }) => ({ key, budget }))
+    ];
+    const stats = new Map();
+    for (const { key, budget } of entries) {
+      const id = getKeyId(key);
+      if (removed.has(id) || stats.has(key)) continue;
+      const keyStats = this.stats.get(key) || { ...KeyPool.emptyStats(), id };
+      keyStats.budget = budget || this.budgets['*'] || NO_BUDGET;
+      stats.set(key, keyStats);
+    }
+    this.stats = stats;
+    this.keys = [...stats.keys()];
+    if (this.currentIndex >= this.keys.length) this.currentIndex = 0;
+
+    for (const key of this.keys) {
+      const keyStats = this.stats.get(key);
+      const reason = overrides.disabled[keyStats.id];
+      if (reason !== undefined) {
+        this.setState(key, KEY_STATES.DISABLED, reason || 'Disabled manually');
+        keyStats.manuallyDisabled = true;
+      } else if ((keyStats.state === KEY_STATES.DISABLED && keyStats.manuallyDisabled) ||
+        (keyStats.state !== KEY_STATES.HEALTHY && (overrides.enabled[keyStats.id] || 0) >= keyStats.stateSince)) {
+        // Manual disable lifted, or re-enabled after an automatic state change
+        keyStats.manuallyDisabled = false;
+        this.setState(key, KEY_STATES.HEALTHY);
+      }
+    }
+  }
+
+  /**
+   * Load runtime overrides from a file, save later changes to it and follow
+   * changes made by other processes (e.g. the spawned HTTP server)
+   */
+  persistTo(filePath = DEFAULT_KEYS_FILE) {
+    this.overridesPath = filePath;
+    this.applyOverrides(readKeyOverrides(filePath));
+    watchKeyOverrides(filePath, overrides => this.applyOverrides(overrides));
+  }
+
+  // Re-read the file first so concurrent changes from another process are kept
+  updateOverrides(change) {
+    const overrides = this.overridesPath ? readKeyOverrides(this.overridesPath) : structuredClone(this.overrides);
+    change(overrides);
+    if (this.overridesPath) writeKeyOverrides(this.overridesPath, overrides);
+    this.applyOverrides(overrides);
+  }
+
+  /**
+   * Find a key by pool index, key id or the key itself
+   */
+  findKey(ref) {
+    if (ref === undefined || ref === null || ref === '') return null;
+    if (typeof ref === 'number' || /^\d+$/.test(ref)) return this.keys[Number(ref)] || null;
+    return this.keys.find(key => key === ref || this.stats.get(key).id === ref) || null;
+  }
+
+  addKey(key, budget = null) {
+    if (typeof key !== 'string' || !key.trim() || /[\s,]/.test(key.trim())) {
+      throw new Error('API key must be a non-empty string without spaces or commas');
+    }
+    key = key.trim();
+    if (this.stats.has(key)) throw new Error('API key is already in the pool');
+
+    const id = getKeyId(key);
+    this.updateOverrides(overrides => {
+      if (overrides.removed.includes(id)) {
+        overrides.removed = overrides.removed.filter(removedId => removedId !== id);
+      }
+      if (!this.baseKeys.includes(key)) {
+        overrides.added = overrides.added.filter(entry => entry.key !== key);
+        overrides.added.push({ key, ...(budget && { budget }) });
+      }
+    });
+    return key;
+  }
+
+  removeKey(key) {
+    const { id } = this.stats.get(key);
+    this.updateOverrides(overrides => {
+      overrides.added = overrides.added.filter(entry => entry.key !== key);
+      if (this.baseKeys.includes(key) && !overrides.removed.includes(id)) overrides.removed.push(id);
+      delete overrides.disabled[id];
+      delete overrides.enabled[id];
+    });
+  }
+
+  disableKey(key, reason = 'Disabled manually') {
+    const { id } = this.stats.get(key);
+    this.updateOverrides(overrides => {
+      overrides.disabled[id] = reason;
+      delete overrides.enabled[id];
+    });
+  }
+
+  enableKey(key) {
+    const { id } = this.stats.get(key);
+    this.updateOverrides(overrides => {
+      delete overrides.disabled[id];
+      overrides.enabled[id] = Date.now();
+    });
+  }
+
+  setMode(mode) {
+    if (!KEY_MODES.includes(mode)) throw new Error(`Invalid key mode: ${mode}. Use one of: ${KEY_MODES.join(', ')}`);
+    this.updateOverrides(overrides => {
+      overrides.mode = mode;
+    });
+  }
+
+  /**
+   * Persist usage through a (typically SQLite-backed) store instead of memory
+   */
+  setUsageStore(store) {
+    this.usageStore = store;
+  }
+
+  static emptyStats() {
+    return {
+      usage: 0, errors: 0, consecutiveFailures: 0,
+      latencyTotal: 0, latencyCount: 0, lastLatency: null, lastError: null,
+      state: KEY_STATES.HEALTHY, stateReason: null, stateSince: Date.now(), cooldownUntil: 0, manuallyDisabled: false
+    };
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  setState(key, state, reason = null) {
+    const stats = this.stats.get(key);
+    if (stats.state === state && stats.stateReason === reason) return;
+    stats.state = state;
+    stats.stateReason = reason;
+    stats.stateSince = Date.now();
+    if (state !== KEY_STATES.COOLING_DOWN) stats.cooldownUntil = 0;
+    if (state === KEY_STATES.HEALTHY) stats.consecutiveFailures = 0;
+    if (state === KEY_STATES.QUARANTINED) this.scheduleProbe();
+  }
+
+  // Current state, ending expired cooldowns
+  getState(key, now = Date.now()) {
+    const stats = this.stats.get(key);
+    if (stats.state === KEY_STATES.COOLING_DOWN && stats.cooldownUntil <= now) {
+      this.setState(key, KEY_STATES.HEALTHY);
+    }
+    return stats.state;
+  }
+
+  getBudgetUsage(key, totals = this.usageStore.getTotals()) {
+    const { budget, id } = this.stats.get(key);
+    const used = totals.get(id) || { daily: 0, monthly: 0 };
+    return {
+      daily_used: used.daily,
+      daily_limit: budget.daily,
+      monthly_used: used.monthly,
+      monthly_limit: budget.monthly,
+      exhausted: (budget.daily !== null && used.daily >= budget.daily) ||
+        (budget.monthly !== null && used.monthly >= budget.monthly)
+    };
+  }
+
+  isAvailable(key, now = Date.now()) {
+    return this.getState(key, now) === KEY_STATES.HEALTHY;
+  }
+
+  /**
+   * Pick the next healthy key according to the rotation mode
+   * With no healthy key left, the cooling-down key that recovers first is used,
+   * then a quarantined one; disabled keys are never used
+   */
+  next() {
+    if (this.keys.length === 0) throw new Error('No API keys configured');
+
+    const now = Date.now();
+    const totals = this.usageStore.getTotals();
+    const withinBudget = this.keys.filter(key => !this.getBudgetUsage(key, totals).exhausted);
+    if (withinBudget.length === 0) {
+      throw new YouApiError('All API keys have reached their usage budget', { status: 429 });
+    }
+    const available = withinBudget.filter(key => this.isAvailable(key, now));
+    let key;
+
+    if (available.length === 0) {
+      key = this.pickFallback(withinBudget);
+      if (!key) throw new Error('All API keys are disabled');
+    } else if (this.mode === 'random') {
+      key = available[Math.floor(Math.random() * available.length)];
+    } else {
+      // Walk from the current index to the first available key
+      for (let offset = 0; offset < this.keys.length; offset++) {
+        const index = (this.currentIndex + offset) % this.keys.length;
+        if (available.includes(this.keys[index])) {
+          key = this.keys[index];
+          this.currentIndex = this.mode === 'round-robin' ? (index + 1) % this.keys.length : index;
+          break;
+        }
+      }
+    }
+
+    this.stats.get(key).usage++;
+    return key;
+  }
+
+  pickFallback(candidates) {
+    const byState = state => candidates.filter(key => this.stats.get(key).state === state);
+    const cooling = byState(KEY_STATES.COOLING_DOWN);
+    if (cooling.length > 0) {
+      return cooling.reduce((a, b) => (this.stats.get(a).cooldownUntil <= this.stats.get(b).cooldownUntil ? a : b));
+    }
+    return byState(KEY_STATES.QUARANTINED)[0] || null;
+  }
+
+  /**
+   * Record a failed call and move the key to the matching state:
+   * 401/403 disables it, 429 starts a cooldown (Retry-After or default), and
+   * repeated retryable failures quarantine it
+   */
+  markError(key, error = null) {
+    const stats = this.stats.get(key);
+    if (!stats) return;
+    stats.errors++;
+    stats.consecutiveFailures++;
+    stats.lastError = error?.message || null;
+
+    const status = error?.status;
+    if (status === 401 || status === 403) {
+      this.setState(key, KEY_STATES.DISABLED, `Upstream rejected key (${status})`);
+    } else if (status === 429) {
+      if (stats.state !== KEY_STATES.DISABLED) {
+        this.setState(key, KEY_STATES.COOLING_DOWN, 'Rate limited (429)');
+        stats.cooldownUntil = Date.now() + (error.retryAfter ?? this.cooldownMs);
+      }
+    } else if (stats.consecutiveFailures >= this.quarantineThreshold && stats.state === KEY_STATES.HEALTHY) {
+      this.setState(key, KEY_STATES.QUARANTINED, `${stats.consecutiveFailures} consecutive failures: ${stats.lastError}`);
+    }
+
+    if (this.mode === 'sequential' && this.keys[this.currentIndex] === key) {
+      this.currentIndex = (this.currentIndex + 1) % this.keys.length;
+    }
+  }
+
+  /**
+   * Record a successful call and its latency (time to response headers)
+   */
+  markSuccess(key, latencyMs) {
+    const stats = this.stats.get(key);
+    if (!stats) return;
+    stats.latencyTotal += latencyMs;
+    stats.latencyCount++;
+    stats.lastLatency = latencyMs;
+    stats.consecutiveFailures = 0;
+    if (stats.state === KEY_STATES.QUARANTINED) this.setState(key, KEY_STATES.HEALTHY);
+  }
+
+  /**
+   * Re-check one quarantined key with a minimal run; healthy again on success
+   */
+  async probe(key) {
+    const startedAt = Date.now();
+    try {
+      const response = await callYouApi(key, PROBE_REQUEST, { retries: 0, timeout: 30000 });
+      await response.body?.cancel();
+      this.markSuccess(key, Date.now() - startedAt);
+      return true;
+    } catch (error) {
+      const stats = this.stats.get(key);
+      stats.lastError = error.message;
+      if (error.status === 401 || error.status === 403) {
+        this.setState(key, KEY_STATES.DISABLED, `Upstream rejected key (${error.status})`);
+      }
+      return false;
+    }
+  }
+
+  async probeQuarantined() {
+    const quarantined = this.keys.filter(key => this.stats.get(key).state === KEY_STATES.QUARANTINED);
+    for (const key of quarantined) {
+      await this.probe(key);
+    }
+  }
+
+  // Background probe loop; runs only while some key is quarantined
+  scheduleProbe() {
+    if (this.probeTimer || this.probeIntervalMs <= 0) return;
+    this.probeTimer = setTimeout(async () => {
+      await this.probeQuarantined().catch(() => {});
+      this.probeTimer = null;
+      if (this.keys.some(key => this.stats.get(key).state === KEY_STATES.QUARANTINED)) this.scheduleProbe();
+    }, this.probeIntervalMs);
+    this.probeTimer.unref?.();
+  }
+
+  recordUsage(key, agent, isError) {
+    this.usageStore.record(this.stats.get(key).id, previewKey(key), agent || 'unknown', isError);
+  }
+
+  /**
+   * callYouApi options that rotate and record keys through this pool
+   */
+  callOptions(agent = null) {
+    return {
+      nextKey: () => this.next(),
+      onKeyError: (key, error) => {
+        this.markError(key, error);
+        this.recordUsage(key, agent, true);
+      },
+      onKeySuccess: (key, latencyMs) => {
+        this.markSuccess(key, latencyMs);
+        this.recordUsage(key, agent, false);
+      }
+    };
+  }
+
+  /**
+   * Call You.com API with a pooled key, failing over to other keys on retry
+   * (onKeySuccess/onKeyError in options run after the pool's own bookkeeping)
+   */
+  call(requestBody, options = {}) {
+    const { onKeySuccess, onKeyError, ...callOptions } = options;
+    const poolOptions = this.callOptions(requestBody.agent);
+    return callYouApi(this.next(), requestBody, {
+      ...callOptions,
+      ...poolOptions,
+      onKeyError: (key, error) => {
+        poolOptions.onKeyError(key, error);
+        onKeyError?.(key, error);
+      },
+      onKeySuccess: (key, latencyMs) => {
+        poolOptions.onKeySuccess(key, latencyMs);
+        onKeySuccess?.(key, latencyMs);
+      }
+    });
+  }
+
+  /**
+   * Run several calls in parallel (`n` fan-outs). When one fails, `controller` (whose signal
+   * is in options) is aborted so the others stop, the bodies of the ones that already
+   * responded are cancelled, and the first upstream error is thrown.
+   * @returns {Promise<Response[]>} in the order of `requestBodies`
+   */
+  async callAll(requestBodies, options, controller) {
+    // call() picks its key synchronously and may throw; keep that inside the settled promises
+    const results = await Promise.allSettled(requestBodies.map(requestBody =>
+      Promise.resolve().then(() => this.call(requestBody, options)).catch(error => {
+        controller.abort();
+        throw error;
+      })
+    ));
+    const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    if (failures.length === 0) return results.map(result => result.value);
+
+    controller.abort();
+    await Promise.all(results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.body?.cancel().catch(() => {})));
+    // Siblings fail as 'aborted' once the controller fires; report the failure that caused it
+    throw failures.find(error => error.kind !== 'aborted') || failures[0];
+  }
+
+  /**
+   * Usage of the last `days` days broken down by key, agent and day
+   */
+  getUsageReport(days = 30) {
+    const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rows = this.usageStore.getRows(from)
+      .sort((a, b) => b.day.localeCompare(a.day) || a.key_preview.localeCompare(b.key_preview) || a.agent.localeCompare(b.agent));
+
+    const sum = (field) => Object.values(rows.reduce((groups, row) => {
+      const group = groups[row[field]] || (groups[row[field]] = { [field]: row[field], calls: 0, errors: 0 });
+      if (field === 'key_id') group.key_preview = row.key_preview;
+      group.calls += row.calls;
+      group.errors += row.errors;
+      return groups;
+    }, {}));
+
+    return {
+      from,
+      days,
+      persistent: this.usageStore.persistent,
+      by_key: sum('key_id'),
+      by_agent: sum('agent'),
+      by_day: sum('day'),
+      rows
+    };
+  }
+
+  /**
+   * Key counts by state and the state of each key, without key previews, budgets or
+   * usage (for the unauthenticated /health)
+   */
+  getSummary() {
+    const now = Date.now();
+    const states = Object.fromEntries(Object.values(KEY_STATES).map(state => [state, 0]));
+    const keys = this.keys.map((key, index) => {
+      const state = this.getState(key, now);
+      states[state]++;
+      return { index, state, state_reason: this.stats.get(key).stateReason };
+    });
+    return {
+      total_keys: this.keys.length,
+      healthy_keys: states[KEY_STATES.HEALTHY],
+      key_mode: this.mode,
+      states,
+      keys
+    };
+  }
+
+  /**
+   * Status data shared by you_key_status and /v1/keys
+   */
+  getStatus() {
+    const now = Date.now();
+    const states = this.keys.map(key => this.getState(key, now));
+    const totals = this.usageStore.getTotals();
+    return {
+      total_keys: this.keys.length,
+      healthy_keys: states.filter(state => state === KEY_STATES.HEALTHY).length,
+      key_mode: this.mode,
+      current_key_index: this.currentIndex,
+      keys: this.keys.map((key, index) => {
+        const stats = this.stats.get(key);
+        return {
+          index,
+          key_preview: previewKey(key),
+          state: states[index],
+          state_reason: stats.stateReason,
+          state_since: new Date(stats.stateSince).toISOString(),
+          usage_count: stats.usage,
+          error_count: stats.errors,
+          is_current: index === this.currentIndex,
+          avg_latency_ms: stats.latencyCount ? Math.round(stats.latencyTotal / stats.latencyCount) : null,
+          last_latency_ms: stats.lastLatency,
+          last_error: stats.lastError,
+          cooldown_remaining_ms: Math.max(0, stats.cooldownUntil - now),
+          key_id: stats.id,
+          budget: this.getBudgetUsage(key, totals)
+        };
+      })
+    };
+  }
+}
+
+/**
+ * Build a pool from YDC_API_KEYS / YDC_API_KEY, YDC_KEY_MODE and the YDC_KEY_* tuning vars
+ */
+export function createKeyPoolFromEnv(env = process.env) {
+  const raw = env.YDC_API_KEYS || env.YDC_API_KEY || '';
+  const keys = raw.split(',').map(k => k.trim()).filter(k => k);
+  return new KeyPool(keys, {
+    mode: env.YDC_KEY_MODE || 'round-robin',
+    cooldownMs: parseInt(env.YDC_KEY_COOLDOWN_MS) || DEFAULT_COOLDOWN_MS,
+    quarantineThreshold: parseInt(env.YDC_KEY_QUARANTINE_THRESHOLD) || DEFAULT_QUARANTINE_THRESHOLD,
+    probeIntervalMs: parseInt(env.YDC_KEY_PROBE_INTERVAL_MS) || DEFAULT_PROBE_INTERVAL_MS,
+    budgets: parseKeyBudgets(env.YDC_KEY_BUDGETS)
+  });
+}
+
+let sharedPool = null;
+
+/**
+ * Get the process-wide key pool (created on first use, after CLI flags set the env),
+ * with runtime key changes persisted to YDC_KEYS_FILE
+ */
+export function getKeyPool() {
+  if (!sharedPool) {
+    sharedPool = createKeyPoolFromEnv();
+    sharedPool.persistTo(DEFAULT_KEYS_FILE);
+  }
+  return sharedPool;
+}
@@ -0,0 +1,199 @@
+/**
+ * Key Usage Store Module
+ * Per-key call counters by agent and day, persisted with sql.js next to the conversation DB
+ *
+ * Kept in its own file (key-usage.db) because both the MCP process and the HTTP server it
+ * spawns record usage for the same keys: each flush reloads the file from disk and applies
+ * only this process's pending increments, so neither process overwrites the other's counts.
+ * The per-key totals checked on every key pick are cached in memory and rebuilt only when
+ * the day changes or another process writes the file.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync, writeFileSync, existsSync, statSync, watchFile } from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_DB_PATH = process.env.YDC_KEY_USAGE_DB_PATH ||
+  join(process.env.YDC_CONVERSATION_DB_PATH ? dirname(process.env.YDC_CONVERSATION_DB_PATH) : join(__dirname, '..'), 'key-usage.db');
+const FLUSH_DELAY = 1000;
+const WATCH_INTERVAL = 2000;
+
+export function getUsageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+export class KeyUsageStore {
+  constructor() {
+    this.SQL = null;
+    this.db = null;
+    this.dbPath = null;
+    this.loadedMtime = 0;
+    // Increments not yet written to disk (all data in memory mode)
+    this.pending = new Map();
+    this.flushTimeout = null;
+    // getTotals() cache for totalsDay, kept current by record()
+    this.totals = null;
+    this.totalsDay = null;
+  }
+
+  get persistent() {
+    return !!this.db;
+  }
+
+  /**
+   * Load sql.js and the usage DB; stays in memory mode on failure
+   */
+  async open(dbPath = DEFAULT_DB_PATH) {
+    try {
+      const initSqlJs = (await import('sql.js')).default;
+      this.SQL = await initSqlJs();
+      this.dbPath = dbPath;
+      this.reload();
+      // Our own flushes update loadedMtime, so only writes from other processes drop the totals
+      watchFile(dbPath, { interval: WATCH_INTERVAL, persistent: false }, current => {
+        if (current.mtimeMs !== this.loadedMtime) this.totals = null;
+      });
+      process.once('exit', () => this.flush());
+    } catch (error) {
+      console.error('⚠️ Failed to open key usage database, keeping usage in memory:', error.message);
+      this.db = null;
+    }
+    return this;
+  }
+
+  reload() {
+    let db;
+    if (existsSync(this.dbPath)) {
+      try {
+        db = new this.SQL.Database(readFileSync(this.dbPath));
+        this.loadedMtime = statSync(this.dbPath).mtimeMs;
+      } catch (error) {
+        console.error('⚠️ Failed to load key usage database, creating new one:', error.message);
+      }
+    }
+    db = db || new this.SQL.Database();
+    db.run(`
+      CREATE TABLE IF NOT EXISTS key_usage (
+        key_id TEXT NOT NULL,
+        key_preview TEXT NOT NULL,
+        agent TEXT NOT NULL,
+        day TEXT NOT NULL,
+        calls INTEGER NOT NULL DEFAULT 0,
+        errors INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, agent, day)
+      )
+    `);
+    if (this.db) this.db.close();
+    this.db = db;
+  }
+
+  // Pick up counts written by another process since the last load
+  refresh() {
+    if (!this.db || !existsSync(this.dbPath)) return;
+    if (statSync(this.dbPath).mtimeMs !== this.loadedMtime) this.reload();
+  }
+
+  /**
+   * Count one upstream call for a key
+   */
+  record(keyId, keyPreview, agent, isError = false) {
+    const day = getUsageDay();
+    const id = `${keyId}|${agent}|${day}`;
+    const row = this.pending.get(id) || { key_id: keyId, key_preview: keyPreview, agent, day, calls: 0, errors: 0 };
+    row.calls++;
+    if (isError) row.errors++;
+    this.pending.set(id, row);
+    if (this.totals && this.totalsDay === day) {
+      const total = this.totals.get(keyId) || { daily: 0, monthly: 0 };
+      total.daily++;
+      total.monthly++;
+      this.totals.set(keyId, total);
+    }
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (!this.db || this.flushTimeout) return;
+    this.flushTimeout = setTimeout(() => {
+      this.flushTimeout = null;
+      this.flush();
+    }, FLUSH_DELAY);
+    this.flushTimeout.unref?.();
+  }
+
+  flush() {
+    if (!this.db || this.pending.size === 0) return;
+    try {
+      if (existsSync(this.dbPath) && statSync(this.dbPath).mtimeMs !== this.loadedMtime) this.totals = null;
+      this.reload();
+      for (const row of this.pending.values()) {
+        this.db.run(`
+          INSERT INTO key_usage (key_id, key_preview, agent, day, calls, errors) VALUES (?, ?, ?, ?, ?, ?)
+          ON CONFLICT (key_id, agent, day) DO UPDATE SET calls = calls + excluded.calls, errors = errors + excluded.errors
+        `, [row.key_id, row.key_preview, row.agent, row.day, row.calls, row.errors]);
+      }
+      writeFileSync(this.dbPath, Buffer.from(this.db.export()));
+      this.loadedMtime = statSync(this.dbPath).mtimeMs;
+      this.pending.clear();
+    } catch (error) {
+      console.error('⚠️ Failed to save key usage:', error.message);
+    }
+  }
+
+  /**
+   * Rows since `fromDay` (inclusive), merged with pending increments
+   */
+  getRows(fromDay = '') {
+    this.refresh();
+    const rows = new Map();
+    if (this.db) {
+      const result = this.db.exec(
+        'SELECT key_id, key_preview, agent, day, calls, errors FROM key_usage WHERE day >= ?', [fromDay]);
+      if (result.length) {
+        result[0].values.forEach(([key_id, key_preview, agent, day, calls, errors]) => {
+          rows.set(`${key_id}|${agent}|${day}`, { key_id, key_preview, agent, day, calls, errors });
+        });
+      }
+    }
+    for (const [id, row] of this.pending) {
+      if (row.day < fromDay) continue;
+      const existing = rows.get(id);
+      rows.set(id, existing
+        ? { ...existing, calls: existing.calls + row.calls, errors: existing.errors + row.errors }
+        : { ...row });
+    }
+    return [...rows.values()];
+  }
+
+  /**
+   * Today's and this month's call counts for each key id
+   */
+  getTotals() {
+    const today = getUsageDay();
+    if (this.totals && this.totalsDay === today) return this.totals;
+    const month = today.slice(0, 7);
+    const totals = new Map();
+    for (const row of this.getRows(`${month}-01`)) {
+      const total = totals.get(row.key_id) || { daily: 0, monthly: 0 };
+      total.monthly += row.calls;
+      if (row.day === today) total.daily += row.calls;
+      totals.set(row.key_id, total);
+    }
+    this.totals = totals;
+    this.totalsDay = today;
+    return totals;
+  }
+}
+
+/**
+ * Open the shared usage store (memory only when YDC_CONVERSATION_STORE=memory)
+ */
+export async function openKeyUsageStore(options = {}) {
+  const { dbPath = DEFAULT_DB_PATH, storeType = process.env.YDC_CONVERSATION_STORE || 'sqlite' } = options;
+  const store = new KeyUsageStore();
+  if (storeType === 'memory') return store;
+  return store.open(dbPath);
+}
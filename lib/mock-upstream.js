@@ -0,0 +1,172 @@
+/**
+ * Mock You.com Upstream Module
+ * Local stand-in for the You.com runs API, for offline development and testing
+ *
+ * Script file format (JSON, all fields optional):
+ * {
+ *   "latency": 200,              // ms before responding
+ *   "chunk_delay": 30,           // ms between streamed deltas
+ *   "error_rate": 0.1,           // fraction of requests failing with error_status
+ *   "error_status": 500,
+ *   "default_answer": "Mock answer for: {input}",
+ *   "invalid_keys": ["revoked-key"],  // keys answered with 401
+ *   "responses": [
+ *     { "match": "weather", "answer": "Sunny [1].", "latency": 500,
+ *       "sources": [{ "url": "https://example.com", "title": "Example", "snippet": "..." }] },
+ *     { "match": "flaky", "status": 503, "error": "Unavailable", "retry_after": 1, "times": 2 }
+ *   ]
+ * }
+ * `match` is a case-insensitive regex tested against the run input; the first matching
+ * rule wins. Error rules with `times` only fail that many times, then fall through.
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+
+const RUNS_PATH = '/v1/agents/runs';
+
+// Load scripted responses from file, falling back to env defaults
+function loadScript(scriptPath) {
+  const script = scriptPath ? JSON.parse(readFileSync(scriptPath, 'utf8')) : {};
+  return {
+    latency: script.latency ?? (parseInt(process.env.YDC_MOCK_LATENCY) || 0),
+    chunk_delay: script.chunk_delay ?? 20,
+    error_rate: script.error_rate ?? (parseFloat(process.env.YDC_MOCK_ERROR_RATE) || 0),
+    error_status: script.error_status ?? 500,
+    default_answer: script.default_answer ?? 'Mock answer for: {input}',
+    invalid_keys: script.invalid_keys || [],
+    responses: (script.responses || []).map(rule => ({ ...rule, regex: new RegExp(rule.match || '', 'i'), failures: 0 }))
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+}
+
+// Pick the scripted outcome for a run input
+function resolveOutcome(script, input) {
+  for (const rule of script.responses) {
+    if (!rule.regex.test(input)) continue;
+    if (rule.status && rule.status >= 400) {
+      if (rule.times !== undefined && rule.failures >= rule.times) continue;
+      rule.failures++;
+      return { error: { status: rule.status, message: rule.error || 'Scripted error', retry_after: rule.retry_after }, latency: rule.latency };
+    }
+    return { answer: rule.answer, sources: rule.sources, latency: rule.latency, chunk_delay: rule.chunk_delay };
+  }
+
+  if (script.error_rate > 0 && Math.random() < script.error_rate) {
+    return { error: { status: script.error_status, message: 'Injected error' } };
+  }
+  return { answer: script.default_answer.replace('{input}', input) };
+}
+
+async function handleRun(req, res, script) {
+  if (!req.headers.authorization?.startsWith('Bearer ')) {
+    return sendJson(res, 401, { detail: 'Missing API key' });
+  }
+  if (script.invalid_keys.includes(req.headers.authorization.slice(7))) {
+    return sendJson(res, 401, { detail: 'Invalid API key' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    return sendJson(res, 400, { detail: 'Invalid JSON body' });
+  }
+  if (!body.agent || typeof body.input !== 'string') {
+    return sendJson(res, 400, { detail: 'agent and input are required' });
+  }
+
+  const outcome = resolveOutcome(script, body.input);
+  await sleep(outcome.latency ?? script.latency);
+
+  if (outcome.error) {
+    const headers = outcome.error.retry_after !== undefined ? { 'Retry-After': String(outcome.error.retry_after) } : {};
+    return sendJson(res, outcome.error.status, { detail: outcome.error.message }, headers);
+  }
+
+  const answer = outcome.answer ?? '';
+  const sources = (outcome.sources || []).map(source => ({ source_type: 'web_search', ...source }));
+  const runId = `mock_${Date.now()}`;
+  const answerIndex = sources.length > 0 ? 1 : 0;
+
+  if (!body.stream) {
+    const output = sources.length > 0 ? [{ type: 'web_search.results', content: sources }] : [];
+    output.push({ type: 'message.answer', text: answer });
+    return sendJson(res, 200, {
+      id: runId,
+      agent: body.agent,
+      input: [{ role: 'user', content: body.input }],
+      output
+    });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  sendEvent(res, 'response.created', { response: { id: runId, agent: body.agent } });
+  if (sources.length > 0) {
+    sendEvent(res, 'response.output_content.full', { response: { output_index: 0, type: 'web_search.results', full: sources } });
+  }
+  sendEvent(res, 'response.output_item.added', { response: { output_index: answerIndex, type: 'message.answer' } });
+
+  const chunkDelay = outcome.chunk_delay ?? script.chunk_delay;
+  const deltas = answer.match(/\S+\s*|\s+/g) || [];
+  for (const delta of deltas) {
+    if (res.destroyed) return;
+    sendEvent(res, 'response.output_text.delta', { response: { output_index: answerIndex, type: 'message.answer', delta } });
+    if (chunkDelay) await sleep(chunkDelay);
+  }
+
+  sendEvent(res, 'response.output_item.done', { response: { output_index: answerIndex, type: 'message.answer', text: answer } });
+  sendEvent(res, 'response.done', { response: { id: runId, run_time_ms: 0, finished: true } });
+  res.end();
+}
+
+/**
+ * Start the mock upstream server
+ * Resolves with { server, port, url } where url is the base URL for YDC_API_BASE_URL
+ */
+export async function startMockUpstream(options = {}) {
+  const { port = parseInt(process.env.YDC_MOCK_PORT) || 3900, scriptPath = process.env.YDC_MOCK_SCRIPT } = options;
+  const script = loadScript(scriptPath);
+
+  const server = createServer((req, res) => {
+    if (req.method === 'POST' && req.url.split('?')[0] === RUNS_PATH) {
+      handleRun(req, res, script).catch(error => {
+        if (!res.headersSent) sendJson(res, 500, { detail: error.message });
+        else res.end();
+      });
+    } else if (req.method === 'GET' && req.url === '/health') {
+      sendJson(res, 200, { status: 'healthy', mock: true });
+    } else {
+      sendJson(res, 404, { detail: 'Not found' });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  const actualPort = server.address().port;
+  return { server, port: actualPort, url: `http://127.0.0.1:${actualPort}` };
+}
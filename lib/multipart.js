@@ -0,0 +1,46 @@
+/**
+ * Multipart Module
+ * Minimal multipart/form-data parser for file uploads (the body is already buffered by
+ * express.raw, so no streaming parser is needed)
+ */
+
+/**
+ * Split a multipart body into text fields and files
+ * @param {Buffer} body - raw request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {{ fields: object, files: object }} files map names to { filename, contentType, data }
+ */
+export function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) throw new Error('Missing multipart boundary');
+  const delimiter = Buffer.from(`--${(match[1] || match[2]).trim()}`);
+  const parts = { fields: {}, files: {} };
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    // "--" after a delimiter closes the body
+    if (body.subarray(start, start + 2).toString() === '--') break;
+    start += 2;
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) break;
+
+    // Each part ends with the CRLF that precedes the next delimiter
+    const part = body.subarray(start, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const data = part.subarray(headerEnd + 4);
+      const disposition = /content-disposition:[^\r\n]*/i.exec(headers)?.[0] || '';
+      const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+      const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+      if (name !== undefined && filename !== undefined) {
+        parts.files[name] = { filename, contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || null, data };
+      } else if (name !== undefined) {
+        parts.fields[name] = data.toString('utf8');
+      }
+    }
+    start = next;
+  }
+  return parts;
+}
@@ -9,6 +9,12 @@ import {
   getDefaultAdvancedVersion,
   adjustWorkflowSteps
 } from './advanced-versions.js';
+import { extractSources, toOpenAIAnnotations } from './sources.js';
+import { getFunctionTools, getYouTools, buildToolPrompt, formatToolCallsForPrompt, parseToolCalls } from './tool-calls.js';
+import { parseResponseFormat, buildFormatInstructions } from './structured-output.js';
+import { OutputLimiter, STOP_REASONS } from './output-limits.js';
+import { countTokens } from './token-counter.js';
+import { getTextContent } from './content-parts.js';
 
 // Parse custom agents from env
 function getCustomAgents() {
@@ -32,6 +38,11 @@ function getCustomAgents() {
 
 /**
  * Map OpenAI request parameters to You.com parameters
+ * `function` tools are emulated through the prompt (see tool-calls.js); other tool
+ * entries are passed through as You.com tool configs. A JSON `response_format` adds
+ * output format instructions (see structured-output.js). Content part arrays should be
+ * flattened with normalizeMessages (content-parts.js) first; here only their text parts
+ * are used. `developer` messages are instructions like `system` ones.
  */
 export function mapOpenAIToYouParams(openaiRequest) {
   const {
@@ -40,26 +51,38 @@ export function mapOpenAIToYouParams(openaiRequest) {
     temperature = 0.7,
     max_tokens = 1000,
     stream = false,
-    tools = []
+    tool_choice = 'auto',
+    parallel_tool_calls = true
   } = openaiRequest;
+  const tools = getYouTools(openaiRequest.tools);
+  const functionTools = getFunctionTools(openaiRequest.tools, tool_choice);
 
   let input = '';
   let systemPrompt = '';
   const conversationHistory = [];
+  const toolNames = new Map();
   
   messages.forEach(msg => {
-    if (msg.role === 'system') {
-      systemPrompt = msg.content;
+    const content = getTextContent(msg.content);
+    if (msg.role === 'system' || msg.role === 'developer') {
+      systemPrompt = systemPrompt ? `${systemPrompt}\n\n${content}` : content;
     } else if (msg.role === 'user') {
-      conversationHistory.push(`User: ${msg.content}`);
+      conversationHistory.push(`User: ${content}`);
+    } else if (msg.role === 'assistant' && msg.tool_calls?.length) {
+      msg.tool_calls.forEach(call => toolNames.set(call.id, call.function?.name));
+      conversationHistory.push(`Assistant: ${content ? `${content}\n` : ''}${formatToolCallsForPrompt(msg.tool_calls)}`);
     } else if (msg.role === 'assistant') {
-      conversationHistory.push(`Assistant: ${msg.content}`);
+      conversationHistory.push(`Assistant: ${content}`);
+    } else if (msg.role === 'tool' || msg.role === 'function') {
+      const name = toolNames.get(msg.tool_call_id) || msg.name || msg.tool_call_id;
+      conversationHistory.push(`Function result (${name}): ${content}`);
     }
   });
   
   if (systemPrompt) {
     input = `[System Instructions]\n${systemPrompt}\n\n`;
   }
+  input += buildToolPrompt(functionTools.tools, { required: functionTools.required, parallel: parallel_tool_calls !== false });
   
   if (conversationHistory.length > 1) {
     input += `[Conversation History]\n${conversationHistory.slice(0, -1).join('\n\n')}\n\n`;
@@ -67,6 +90,7 @@ export function mapOpenAIToYouParams(openaiRequest) {
   } else if (conversationHistory.length === 1) {
     input += conversationHistory[0].replace(/^User: /, '');
   }
+  input += buildFormatInstructions(parseResponseFormat(openaiRequest.response_format));
 
   // Check if it's an advanced version model
   if (isAdvancedVersion(model)) {
@@ -167,15 +191,36 @@ export function mapOpenAIToYouParams(openaiRequest) {
 
 /**
  * Convert You.com response to OpenAI format
+ * With `functionTools` (from getFunctionTools), a tool call reply becomes message.tool_calls;
+ * with `limits` ({ stop, maxTokens }, see output-limits.js) a text reply is cut at the
+ * first stop sequence or at max_tokens, the latter reported as finish_reason 'length'.
+ * `promptTokens` is the token count of the agent input (see token-counter.js).
  */
-export function convertToOpenAIResponse(youResponse, model) {
-  const content = youResponse.output && Array.isArray(youResponse.output)
+export function convertToOpenAIResponse(youResponse, model, { functionTools = [], limits = null, promptTokens = 0 } = {}) {
+  const answer = youResponse.output && Array.isArray(youResponse.output)
     ? youResponse.output
         .filter(item => item.type === 'message.answer')
         .map(item => item.text)
         .join('\n\n')
     : 'No response content';
 
+  const toolCalls = parseToolCalls(answer, functionTools);
+  const limited = limits && !toolCalls ? OutputLimiter.apply(answer, limits) : { text: answer, reason: null };
+  const content = limited.text;
+
+  const message = {
+    role: 'assistant',
+    content: content
+  };
+  if (toolCalls) {
+    message.content = null;
+    message.tool_calls = toolCalls;
+  }
+  const sources = extractSources(youResponse);
+  if (sources.length > 0 && !toolCalls) {
+    message.annotations = toOpenAIAnnotations(content, sources);
+  }
+
   return {
     id: `chatcmpl-${Date.now()}`,
     object: 'chat.completion',
@@ -183,33 +228,126 @@ export function convertToOpenAIResponse(youResponse, model) {
     model: `you-${model}`,
     choices: [{
       index: 0,
-      message: {
-        role: 'assistant',
-        content: content
-      },
-      finish_reason: 'stop'
+      message,
+      finish_reason: toolCalls ? 'tool_calls' : getFinishReason(limited.reason)
     }],
-    usage: {
-      prompt_tokens: Math.floor(Math.random() * 100) + 50,
-      completion_tokens: Math.floor(content.length / 4),
-      total_tokens: Math.floor(Math.random() * 100) + 50 + Math.floor(content.length / 4)
-    }
+    usage: createUsage(promptTokens, countTokens(toolCalls ? formatToolCallsForPrompt(toolCalls) : content))
+  };
+}
+
+/**
+ * OpenAI usage object
+ */
+export function createUsage(promptTokens, completionTokens) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * OpenAI finish_reason for a text reply, from the OutputLimiter reason
+ */
+export function getFinishReason(limitReason) {
+  return limitReason === STOP_REASONS.MAX_TOKENS ? 'length' : 'stop';
+}
+
+/**
+ * Merge single-choice responses from parallel runs (n > 1) into one response whose
+ * choices keep the order of `responses`
+ */
+export function combineChoices(responses) {
+  const [first] = responses;
+  const completionTokens = responses.reduce((sum, response) => sum + response.usage.completion_tokens, 0);
+  return {
+    ...first,
+    choices: responses.map((response, index) => ({ ...response.choices[0], index })),
+    usage: createUsage(first.usage.prompt_tokens, completionTokens)
   };
 }
 
 /**
  * Create streaming chunk in OpenAI format
+ * Pass `annotations` to attach url_citation annotations to the delta, and `index` for
+ * the choice the chunk belongs to when n > 1
  */
-export function createStreamChunk(model, content, finishReason = null) {
+export function createStreamChunk(model, content, finishReason = null, annotations = null, index = 0) {
+  const delta = content ? { content } : {};
+  if (annotations?.length) delta.annotations = annotations;
+
   return {
     id: `chatcmpl-${Date.now()}`,
     object: 'chat.completion.chunk',
     created: Math.floor(Date.now() / 1000),
     model: `you-${model}`,
     choices: [{
-      index: 0,
-      delta: content ? { content } : {},
+      index,
+      delta,
       finish_reason: finishReason
     }]
   };
 }
+
+/**
+ * Create the final streaming chunk for stream_options.include_usage (no choices, usage only)
+ */
+export function createUsageChunk(model, usage) {
+  return {
+    id: `chatcmpl-${Date.now()}`,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: `you-${model}`,
+    choices: [],
+    usage
+  };
+}
+
+/**
+ * Create a legacy text completion (/v1/completions) from finished choices
+ * @param {{ text: string, finishReason: string }[]} choices
+ */
+export function createTextCompletion(model, choices, usage) {
+  return {
+    id: `cmpl-${Date.now()}`,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model: `you-${model}`,
+    choices: choices.map(({ text, finishReason }, index) => ({ text, index, logprobs: null, finish_reason: finishReason })),
+    usage
+  };
+}
+
+/**
+ * Create a legacy text completion streaming chunk
+ */
+export function createTextCompletionChunk(model, text, finishReason = null, index = 0) {
+  return {
+    id: `cmpl-${Date.now()}`,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model: `you-${model}`,
+    choices: [{ text, index, logprobs: null, finish_reason: finishReason }]
+  };
+}
+
+/**
+ * Create a streaming chunk carrying complete tool calls in OpenAI format
+ */
+export function createToolCallsChunk(model, toolCalls, index = 0) {
+  return {
+    id: `chatcmpl-${Date.now()}`,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: `you-${model}`,
+    choices: [{
+      index,
+      delta: {
+        role: 'assistant',
+        content: null,
+        tool_calls: toolCalls.map((call, callIndex) => ({ index: callIndex, ...call }))
+      },
+      finish_reason: null
+    }]
+  };
+}
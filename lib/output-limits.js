@@ -0,0 +1,142 @@
+/**
+ * Output Limits Module
+ * Proxy-side stop sequences and max_tokens: You.com agents have no such parameters, so
+ * the answer is cut at the first stop sequence or at the token limit (counted with
+ * token-counter.js), and streaming routes stop reading upstream as soon as a limit is
+ * reached
+ */
+
+import { tokenPieces, truncateToTokens } from './token-counter.js';
+
+// Trailing pieces of the output that more text can still extend or re-split, so their
+// tokens are counted again on the next push
+const OPEN_PIECES = 2;
+
+export const STOP_REASONS = {
+  STOP_SEQUENCE: 'stop_sequence',
+  MAX_TOKENS: 'max_tokens'
+};
+
+/**
+ * Normalize `stop` (OpenAI: string or array) / `stop_sequences` (Anthropic: array)
+ * Throws on malformed values so routes can answer 400.
+ */
+export function parseStopSequences(stop, { param = 'stop', max = 4 } = {}) {
+  if (stop === undefined || stop === null) return [];
+  const sequences = typeof stop === 'string' ? [stop] : stop;
+  if (!Array.isArray(sequences) || !sequences.every(sequence => typeof sequence === 'string')) {
+    throw new Error(`${param} must be a string or an array of strings`);
+  }
+  if (sequences.length > max) {
+    throw new Error(`${param} supports at most ${max} sequences`);
+  }
+  return sequences.filter(sequence => sequence.length > 0);
+}
+
+/**
+ * Validate an optional token limit (null when absent)
+ */
+export function parseMaxTokens(value, param = 'max_tokens') {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${param} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Incremental limiter for one answer
+ * push() returns the text that is safe to emit; a tail that could still be the start of
+ * a stop sequence is held back until more text (or finish()) arrives.
+ */
+export class OutputLimiter {
+  constructor({ stop = [], maxTokens = null } = {}) {
+    this.stop = stop;
+    this.maxTokens = maxTokens;
+    this.holdLength = Math.max(0, ...stop.map(sequence => sequence.length - 1));
+    this.buffer = '';
+    this.output = '';
+    // Tokens of output.slice(0, countedLength), which later text cannot change
+    this.countedLength = 0;
+    this.countedTokens = 0;
+    this.reason = null;
+    this.stopSequence = null;
+  }
+
+  get done() {
+    return this.reason !== null;
+  }
+
+  push(text) {
+    if (this.done) return '';
+    this.buffer += text;
+
+    let cut = -1;
+    for (const sequence of this.stop) {
+      const index = this.buffer.indexOf(sequence);
+      if (index !== -1 && (cut === -1 || index < cut)) {
+        cut = index;
+        this.stopSequence = sequence;
+      }
+    }
+    if (cut !== -1) {
+      const emit = this.buffer.slice(0, cut);
+      this.buffer = '';
+      this.reason = STOP_REASONS.STOP_SEQUENCE;
+      return this.take(emit);
+    }
+
+    const emit = this.buffer.slice(0, Math.max(0, this.buffer.length - this.holdLength));
+    this.buffer = this.buffer.slice(emit.length);
+    return this.take(emit);
+  }
+
+  /**
+   * Upstream ended: release the held-back tail
+   */
+  finish() {
+    if (this.done) return '';
+    const rest = this.buffer;
+    this.buffer = '';
+    return this.take(rest);
+  }
+
+  // Emit text up to the token limit; only the open tail of the output and the new text
+  // are tokenized, so a long stream costs linear time
+  take(text) {
+    if (!this.maxTokens || !text) {
+      this.output += text;
+      return text;
+    }
+
+    const pending = this.output.slice(this.countedLength) + text;
+    const pieces = tokenPieces(pending);
+    const tokens = this.countedTokens + pieces.reduce((sum, piece) => sum + piece.tokens, 0);
+    if (tokens > this.maxTokens) {
+      const allowed = truncateToTokens(pending, this.maxTokens - this.countedTokens);
+      const emit = allowed.slice(this.output.length - this.countedLength);
+      this.output += emit;
+      this.buffer = '';
+      this.reason = STOP_REASONS.MAX_TOKENS;
+      this.stopSequence = null;
+      return emit;
+    }
+
+    pieces.slice(0, Math.max(0, pieces.length - OPEN_PIECES)).forEach(piece => {
+      this.countedLength += piece.text.length;
+      this.countedTokens += piece.tokens;
+    });
+    this.output += text;
+    return text;
+  }
+
+  /**
+   * Apply limits to a complete answer
+   * @returns {{ text: string, reason: string|null, stopSequence: string|null }}
+   */
+  static apply(text, limits) {
+    const limiter = new OutputLimiter(limits);
+    const limited = limiter.push(text) + limiter.finish();
+    return { text: limited, reason: limiter.reason, stopSequence: limiter.stopSequence };
+  }
+}
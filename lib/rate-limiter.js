@@ -0,0 +1,152 @@
+/**
+ * Rate Limiter Module
+ * Per-client token bucket (requests per minute) and concurrency caps for streams and
+ * advanced-agent runs, keyed by access token identity or client IP
+ *
+ * Defaults come from YDC_RATE_LIMIT_RPM, YDC_MAX_CONCURRENT_STREAMS and
+ * YDC_MAX_CONCURRENT_ADVANCED (0 = unlimited); a client in the clients file can
+ * override them with "rate_limits": { "rpm", "concurrent_streams", "concurrent_advanced" }
+ */
+
+const DEFAULT_LIMITS = {
+  rpm: parseInt(process.env.YDC_RATE_LIMIT_RPM) || 0,
+  concurrent_streams: parseInt(process.env.YDC_MAX_CONCURRENT_STREAMS) || 0,
+  concurrent_advanced: parseInt(process.env.YDC_MAX_CONCURRENT_ADVANCED) || 0
+};
+const MINUTE = 60 * 1000;
+const SWEEP_INTERVAL = 5 * MINUTE;
+
+// limiter id -> { tokens, updatedAt, streams, advanced }
+const buckets = new Map();
+
+function getLimits(client) {
+  return { ...DEFAULT_LIMITS, ...(client?.rate_limits || {}) };
+}
+
+function getLimiterId(req) {
+  return req.client && !req.client.anonymous ? `client:${req.client.id}` : `ip:${req.ip}`;
+}
+
+function getBucket(id, rpm) {
+  if (!buckets.has(id)) buckets.set(id, { tokens: rpm, updatedAt: Date.now(), streams: 0, advanced: 0 });
+  return buckets.get(id);
+}
+
+// Refill by elapsed time, then try to take one request token
+function takeToken(bucket, rpm) {
+  const now = Date.now();
+  bucket.tokens = Math.min(rpm, bucket.tokens + (now - bucket.updatedAt) * rpm / MINUTE);
+  bucket.updatedAt = now;
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) bucket.tokens -= 1;
+  return {
+    allowed,
+    remaining: Math.floor(bucket.tokens),
+    resetMs: Math.ceil((rpm - bucket.tokens) * MINUTE / rpm),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) * MINUTE / rpm)
+  };
+}
+
+function setRateLimitHeaders(res, format, rpm, result) {
+  if (format === 'anthropic') {
+    res.set({
+      'anthropic-ratelimit-requests-limit': String(rpm),
+      'anthropic-ratelimit-requests-remaining': String(result.remaining),
+      'anthropic-ratelimit-requests-reset': new Date(Date.now() + result.resetMs).toISOString()
+    });
+  } else {
+    res.set({
+      'x-ratelimit-limit-requests': String(rpm),
+      'x-ratelimit-remaining-requests': String(result.remaining),
+      'x-ratelimit-reset-requests': `${Math.ceil(result.resetMs / 1000)}s`
+    });
+  }
+}
+
+function sendRateLimitError(res, format, message, retryAfterMs) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  if (format === 'anthropic') {
+    return res.status(429).json({ type: 'error', error: { type: 'rate_limit_error', message } });
+  }
+  return res.status(429).json({ error: { message, type: 'rate_limit_error', code: 'rate_limit_exceeded' } });
+}
+
+/**
+ * Rate limiting middleware (use after authenticate so limits follow the client identity)
+ * @param {object} options
+ * @param {'openai'|'anthropic'} options.format - error/header style
+ * @param {(req) => string|null} options.getAgent - You.com agent the request will run
+ */
+export function rateLimit(options = {}) {
+  const { format = 'openai', getAgent = () => null } = options;
+
+  return (req, res, next) => {
+    const limits = getLimits(req.client);
+    const bucket = getBucket(getLimiterId(req), limits.rpm);
+
+    let agent = null;
+    try {
+      agent = getAgent(req);
+    } catch (error) {
+      // Invalid bodies are rejected by the route itself
+    }
+    const stream = !!req.body?.stream;
+    const advanced = agent === 'advanced';
+
+    if (stream && limits.concurrent_streams > 0 && bucket.streams >= limits.concurrent_streams) {
+      return sendRateLimitError(res, format, `Too many concurrent streams (limit ${limits.concurrent_streams})`, 1000);
+    }
+    if (advanced && limits.concurrent_advanced > 0 && bucket.advanced >= limits.concurrent_advanced) {
+      return sendRateLimitError(res, format, `Too many concurrent advanced agent runs (limit ${limits.concurrent_advanced})`, 1000);
+    }
+
+    if (limits.rpm > 0) {
+      const result = takeToken(bucket, limits.rpm);
+      setRateLimitHeaders(res, format, limits.rpm, result);
+      if (!result.allowed) {
+        return sendRateLimitError(res, format, `Rate limit reached: ${limits.rpm} requests per minute`, result.retryAfterMs);
+      }
+    }
+
+    // Hold the concurrency slots until the response ends or the client goes away
+    if (stream) bucket.streams++;
+    if (advanced) bucket.advanced++;
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      if (stream) bucket.streams--;
+      if (advanced) bucket.advanced--;
+    };
+    res.once('close', release);
+    res.locals.holdConcurrencySlots = () => {
+      res.off('close', release);
+      return release;
+    };
+    next();
+  };
+}
+
+/**
+ * Keep the concurrency slots of a request after its response ends, for work that goes on
+ * in the background; the returned function releases them
+ */
+export function holdConcurrencySlots(res) {
+  return res.locals.holdConcurrencySlots?.() || (() => {});
+}
+
+// Drop idle buckets that have refilled completely
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, bucket] of buckets) {
+    if (bucket.streams === 0 && bucket.advanced === 0 && now - bucket.updatedAt > MINUTE) buckets.delete(id);
+  }
+}, SWEEP_INTERVAL).unref();
+
+export const rateLimitConfig = {
+  ...DEFAULT_LIMITS,
+  get tracked_clients() {
+    return buckets.size;
+  }
+};
@@ -64,6 +64,7 @@ export function logRequest(info) {
   const { 
     conversationId, 
     agent = 'unknown',
+    client = null,
     stream = false,
     messageCount = 0,
     inputMessages = []
@@ -72,12 +73,13 @@ export function logRequest(info) {
   const convId = conversationId || 'new';
   lastRequestId = convId;
   const streamMode = stream ? 'stream' : 'sync';
+  const clientLabel = client ? ` | client:${client}` : '';
   
   if (noHistory) {
-    console.log(`📤 ${convId} | ${agent}(${streamMode}) | msgs:${messageCount}`);
+    console.log(`📤 ${convId} | ${agent}(${streamMode}) | msgs:${messageCount}${clientLabel}`);
   } else {
     console.log(`📤 Request: ${convId}, Messages: ${messageCount}`);
-    console.log(`   ${agent}(${streamMode})`);
+    console.log(`   ${agent}(${streamMode})${clientLabel}`);
     printHistory(inputMessages, 'History');
   }
 }
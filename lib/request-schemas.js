@@ -0,0 +1,205 @@
+/**
+ * Request Schemas Module
+ * JSON Schemas for the request bodies of the HTTP server and the Cloudflare worker,
+ * checked by request-validation.js before a route runs
+ *
+ * Schemas only pin down the fields the routes read (types, required fields, plain ranges);
+ * unknown fields are allowed, since clients send parameters we ignore. Limits that depend
+ * on configuration (n, stop sequences, max tokens) stay in the routes.
+ */
+
+const metadata = { type: ['object', 'null'] };
+const temperature = { type: ['number', 'null'], minimum: 0, maximum: 2 };
+const stringOrNull = { type: ['string', 'null'] };
+const tokenLimit = { type: ['integer', 'null'] };
+const contentParts = { type: 'array', items: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } } };
+
+const chatMessage = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { enum: ['system', 'developer', 'user', 'assistant', 'tool', 'function'] },
+    content: { anyOf: [{ type: ['string', 'null'] }, contentParts] },
+    name: { type: 'string' },
+    tool_calls: { type: 'array' },
+    tool_call_id: { type: 'string' }
+  }
+};
+
+export const CHAT_COMPLETION_SCHEMA = {
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    model: { type: 'string' },
+    messages: { type: 'array', minItems: 1, items: chatMessage },
+    conversation_id: stringOrNull,
+    stream: { type: ['boolean', 'null'] },
+    stream_options: { type: ['object', 'null'] },
+    temperature,
+    n: tokenLimit,
+    stop: { type: ['string', 'array', 'null'] },
+    max_tokens: tokenLimit,
+    max_completion_tokens: tokenLimit,
+    tools: { type: ['array', 'null'], items: { type: 'object', required: ['type'] } },
+    tool_choice: { type: ['string', 'object', 'null'] },
+    parallel_tool_calls: { type: ['boolean', 'null'] },
+    response_format: { type: ['object', 'null'] },
+    metadata
+  }
+};
+
+export const COMPLETION_SCHEMA = {
+  type: 'object',
+  required: ['prompt'],
+  properties: {
+    model: { type: 'string' },
+    prompt: { type: ['string', 'array'], items: { type: 'string' } },
+    stream: { type: ['boolean', 'null'] },
+    stream_options: { type: ['object', 'null'] },
+    echo: { type: ['boolean', 'null'] },
+    temperature,
+    n: tokenLimit,
+    stop: { type: ['string', 'array', 'null'] },
+    max_tokens: tokenLimit
+  }
+};
+
+export const RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['input'],
+  properties: {
+    model: { type: 'string' },
+    input: { type: ['string', 'array'], items: { type: 'object' } },
+    instructions: stringOrNull,
+    previous_response_id: stringOrNull,
+    store: { type: ['boolean', 'null'] },
+    stream: { type: ['boolean', 'null'] },
+    temperature,
+    max_output_tokens: tokenLimit,
+    tools: { type: ['array', 'null'], items: { type: 'object', required: ['type'] } },
+    tool_choice: { type: ['string', 'object', 'null'] },
+    text: { type: ['object', 'null'] },
+    metadata
+  }
+};
+
+export const ANTHROPIC_MESSAGES_SCHEMA = {
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    model: { type: 'string' },
+    messages: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['role', 'content'],
+        properties: {
+          role: { enum: ['user', 'assistant'] },
+          content: { anyOf: [{ type: 'string' }, contentParts] }
+        }
+      }
+    },
+    system: { anyOf: [{ type: 'string' }, contentParts] },
+    max_tokens: { type: 'integer' },
+    stop_sequences: { type: 'array', items: { type: 'string' } },
+    stream: { type: 'boolean' },
+    temperature: { type: 'number', minimum: 0, maximum: 1 },
+    tools: { type: 'array', items: { type: 'object' } },
+    metadata: { type: 'object' }
+  }
+};
+
+export const CONVERSATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    system_message: stringOrNull,
+    metadata: { type: 'object' }
+  }
+};
+
+export const KEY_SCHEMA = {
+  type: 'object',
+  required: ['key'],
+  properties: {
+    key: { type: 'string', minLength: 1 },
+    daily_limit: { type: ['integer', 'null'], minimum: 0 },
+    monthly_limit: { type: ['integer', 'null'], minimum: 0 }
+  }
+};
+
+export const KEY_MODE_SCHEMA = {
+  type: 'object',
+  required: ['mode'],
+  properties: { mode: { type: 'string' } }
+};
+
+export const KEY_DISABLE_SCHEMA = {
+  type: 'object',
+  properties: { reason: stringOrNull }
+};
+
+export const ASSISTANT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: stringOrNull,
+    description: stringOrNull,
+    model: { type: 'string' },
+    instructions: stringOrNull,
+    tools: { type: 'array', items: { type: 'object' } },
+    temperature,
+    metadata
+  }
+};
+
+const threadMessage = {
+  type: 'object',
+  required: ['role', 'content'],
+  properties: {
+    role: { enum: ['user', 'assistant'] },
+    content: { anyOf: [{ type: 'string' }, contentParts] },
+    metadata
+  }
+};
+
+export const THREAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    messages: { type: 'array', items: threadMessage },
+    metadata
+  }
+};
+
+export const THREAD_UPDATE_SCHEMA = {
+  type: 'object',
+  properties: { metadata }
+};
+
+export const THREAD_MESSAGE_SCHEMA = threadMessage;
+
+export const RUN_SCHEMA = {
+  type: 'object',
+  required: ['assistant_id'],
+  properties: {
+    assistant_id: { type: 'string' },
+    model: stringOrNull,
+    instructions: stringOrNull,
+    additional_instructions: stringOrNull,
+    additional_messages: { type: ['array', 'null'], items: threadMessage },
+    stream: { type: ['boolean', 'null'] },
+    temperature,
+    max_completion_tokens: tokenLimit,
+    metadata
+  }
+};
+
+export const BATCH_SCHEMA = {
+  type: 'object',
+  required: ['input_file_id', 'endpoint', 'completion_window'],
+  properties: {
+    input_file_id: { type: 'string' },
+    endpoint: { type: 'string' },
+    completion_window: { type: 'string' },
+    metadata
+  }
+};
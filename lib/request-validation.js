@@ -0,0 +1,134 @@
+/**
+ * Request Validation Module
+ * Request body validation against request-schemas.js and the error envelope of each
+ * protocol, shared by the HTTP server (Express middleware below) and the Cloudflare worker
+ *
+ * Status codes: 400 for bodies that are not valid JSON, 404 for unknown URLs, 413 for
+ * bodies over the size limit and 422 for JSON that does not match the endpoint's schema.
+ */
+
+import { validateJsonSchema } from './json-schema.js';
+
+export const DEFAULT_BODY_LIMIT = '10mb';
+
+const ANTHROPIC_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  422: 'invalid_request_error',
+  429: 'rate_limit_error',
+  500: 'api_error',
+  502: 'api_error'
+};
+
+const SIZE_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Error protocol of a request path: Anthropic for /v1/messages, OpenAI otherwise
+ */
+export function getErrorFormat(path) {
+  return path === '/v1/messages' || path.startsWith('/v1/messages/') ? 'anthropic' : 'openai';
+}
+
+/**
+ * Error body in the protocol's envelope
+ * @param {'openai'|'anthropic'} format
+ * @param {number} status - HTTP status (picks the Anthropic error type)
+ * @param {object} error - { message, type, param, code } (OpenAI fields)
+ */
+export function createErrorBody(format, status, { message, type = 'invalid_request_error', param = null, code = null }) {
+  if (format === 'anthropic') {
+    return { type: 'error', error: { type: ANTHROPIC_ERROR_TYPES[status] || type, message } };
+  }
+  return { error: { message, type, param, code } };
+}
+
+/**
+ * Byte count from a size like "10mb", "512kb" or "1048576" (`fallback` when unset or invalid)
+ */
+export function parseByteSize(value, fallback = DEFAULT_BODY_LIMIT) {
+  const match = SIZE_PATTERN.exec(String(value ?? '')) || SIZE_PATTERN.exec(fallback);
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function toParam(path) {
+  return path.replace(/^\$\.?/, '');
+}
+
+/**
+ * Check a request body against a schema
+ * @returns {object|null} OpenAI error fields ({ message, type, param, code }) for the
+ * first problem found, or null when the body is valid
+ */
+export function validateRequestBody(schema, body) {
+  const errors = validateJsonSchema(schema, body);
+  if (!errors.length) return null;
+
+  const [, path, problem] = /^(\$\S*?): (.*)$/.exec(errors[0]) || [null, '$', errors[0]];
+  const missing = /^missing required property "(.+)"$/.exec(problem);
+  const param = missing ? [toParam(path), missing[1]].filter(Boolean).join('.') : toParam(path) || null;
+  let message = missing
+    ? `Missing required parameter: '${param}'.`
+    : param ? `Invalid value for '${param}': ${problem}.` : `Invalid request body: ${problem}.`;
+  if (errors.length > 1) message += ` (${errors.length - 1} more error${errors.length > 2 ? 's' : ''})`;
+
+  return {
+    message,
+    type: 'invalid_request_error',
+    param,
+    code: missing ? 'missing_required_parameter' : 'invalid_value'
+  };
+}
+
+/**
+ * Body validation middleware (use after authentication so unauthorized requests get 401)
+ * @param {object} schema - from request-schemas.js
+ * @param {'openai'|'anthropic'} format - error envelope
+ */
+export function validateBody(schema, format = 'openai') {
+  return (req, res, next) => {
+    const error = validateRequestBody(schema, req.body ?? {});
+    if (error) return res.status(422).json(createErrorBody(format, 422, error));
+    next();
+  };
+}
+
+/**
+ * 404 handler for URLs no route matched
+ */
+export function notFoundHandler(req, res) {
+  res.status(404).json(createErrorBody(getErrorFormat(req.path), 404, {
+    message: `Unknown request URL: ${req.method} ${req.path}`,
+    type: 'invalid_request_error',
+    code: 'unknown_url'
+  }));
+}
+
+/**
+ * Error handler for body parser failures (invalid JSON, oversized bodies) and errors
+ * routes did not catch
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  const format = getErrorFormat(req.path);
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json(createErrorBody(format, 413, {
+      message: `Request body exceeds the ${error.limit} byte limit`,
+      code: 'request_too_large'
+    }));
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(createErrorBody(format, 400, {
+      message: `Request body is not valid JSON: ${error.message}`,
+      code: 'invalid_json'
+    }));
+  }
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json(createErrorBody(format, error.status, { message: error.message, code: error.type || null }));
+  }
+  console.error('❌ Unhandled error:', error);
+  res.status(500).json(createErrorBody(format, 500, { message: error.message, type: 'server_error', code: 'internal_error' }));
+}
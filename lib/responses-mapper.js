@@ -0,0 +1,165 @@
+/**
+ * Responses API Mapper Module
+ * Maps OpenAI Responses API requests (/v1/responses) onto the chat completion pieces
+ * (chat messages, function tools, response_format) and builds Response objects and
+ * streaming events
+ */
+
+import { randomBytes } from 'crypto';
+import { contentToText } from './content-parts.js';
+
+function generateId(prefix) {
+  return `${prefix}_${randomBytes(16).toString('hex')}`;
+}
+
+export function generateResponseId() {
+  return generateId('resp');
+}
+
+/**
+ * Chat messages from a Responses `input` (a string or a list of input items)
+ * Consecutive function_call items become one assistant message with tool_calls and
+ * function_call_output items become tool messages. Throws ContentPartError for
+ * content the attachment policy rejects.
+ */
+export function mapResponsesInput(input) {
+  if (typeof input === 'string') return [{ role: 'user', content: input }];
+
+  const messages = [];
+  (Array.isArray(input) ? input : []).forEach((item, index) => {
+    const param = `input[${index}]`;
+    if (item?.type === 'function_call') {
+      const call = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments ?? '{}' } };
+      const last = messages[messages.length - 1];
+      if (last?.role === 'assistant' && last.tool_calls) last.tool_calls.push(call);
+      else messages.push({ role: 'assistant', content: null, tool_calls: [call] });
+    } else if (item?.type === 'function_call_output') {
+      const output = typeof item.output === 'string' ? item.output : JSON.stringify(item.output);
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: output });
+    } else if (item?.role && (item.type === undefined || item.type === 'message')) {
+      messages.push({ role: item.role, content: contentToText(item.content, { param: `${param}.content` }) });
+    }
+  });
+  return messages;
+}
+
+/**
+ * Chat completion `tools` from Responses tools (function tools are flat there)
+ */
+export function toChatTools(tools) {
+  if (!Array.isArray(tools)) return undefined;
+  return tools.map(tool => tool?.type === 'function' && !tool.function
+    ? { type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.parameters } }
+    : tool);
+}
+
+/**
+ * Chat completion `tool_choice` from a Responses tool_choice
+ */
+export function toChatToolChoice(toolChoice) {
+  if (toolChoice?.type === 'function' && toolChoice.name) {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return toolChoice;
+}
+
+/**
+ * Chat completion `response_format` from Responses `text.format`
+ */
+export function toResponseFormat(text) {
+  const format = text?.format;
+  if (!format || format.type !== 'json_schema') return format;
+  return { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+}
+
+/**
+ * Responses url_citation annotations from chat completion annotations
+ */
+export function toResponseAnnotations(annotations = []) {
+  return annotations.map(({ url_citation: citation }) => ({
+    type: 'url_citation',
+    start_index: citation.start_index,
+    end_index: citation.end_index,
+    url: citation.url,
+    title: citation.title
+  }));
+}
+
+export function createMessageItem(text, annotations = [], status = 'completed') {
+  return {
+    type: 'message',
+    id: generateId('msg'),
+    status,
+    role: 'assistant',
+    content: [{ type: 'output_text', text, annotations }]
+  };
+}
+
+export function createFunctionCallItems(toolCalls) {
+  return toolCalls.map(call => ({
+    type: 'function_call',
+    id: generateId('fc'),
+    call_id: call.id,
+    name: call.function.name,
+    arguments: call.function.arguments,
+    status: 'completed'
+  }));
+}
+
+/**
+ * Response object for a request body
+ * @param {object} body - the /v1/responses request body
+ * @param {object} fields - id, status, output, usage, incomplete_details, error
+ */
+export function createResponseObject(body, { id, createdAt, status = 'completed', output = [], usage = null, incompleteDetails = null, error = null }) {
+  return {
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    error,
+    incomplete_details: incompleteDetails,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model: body.model || 'advanced',
+    output,
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id ?? null,
+    store: body.store !== false,
+    temperature: body.temperature ?? null,
+    text: body.text || { format: { type: 'text' } },
+    tool_choice: body.tool_choice ?? 'auto',
+    tools: body.tools || [],
+    usage,
+    metadata: body.metadata || {}
+  };
+}
+
+export function createResponseUsage(inputTokens, outputTokens) {
+  return {
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    total_tokens: inputTokens + outputTokens
+  };
+}
+
+/**
+ * Text of the message items of a Response (the SDKs' `output_text`)
+ */
+export function getOutputText(output) {
+  return output
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content.filter(part => part.type === 'output_text').map(part => part.text))
+    .join('');
+}
+
+/**
+ * Server-sent event writer for one Responses stream (numbers events in order)
+ */
+export function createResponseEventWriter(res) {
+  let sequenceNumber = 0;
+  return (type, data = {}) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequenceNumber++, ...data })}\n\n`);
+  };
+}
@@ -4,13 +4,24 @@
  */
 
 import { Router } from 'express';
-import { callYouApi } from '../api-client.js';
+import { YouApiError } from '../api-client.js';
+import { getKeyPool } from '../key-pool.js';
+import { rateLimit } from '../rate-limiter.js';
+import { validateBody } from '../request-validation.js';
+import { ANTHROPIC_MESSAGES_SCHEMA } from '../request-schemas.js';
+import { trackUsage, usageKeyOptions } from '../usage-tracker.js';
+import { authenticateAnthropic, requireScope, requireModelAccess, canAccessConversation } from '../auth-middleware.js';
+import { parseYouStream, getAnswerIncrement, STREAM_EVENTS } from '../stream-parser.js';
+import { mergeSources, toAnthropicCitations } from '../sources.js';
+import { OutputLimiter, parseStopSequences, parseMaxTokens } from '../output-limits.js';
+import { countTokens } from '../token-counter.js';
 import { 
   mapAnthropicToYouParams, 
   convertToAnthropicResponse,
   createMessageStartEvent,
   createContentBlockStartEvent,
   createContentBlockDeltaEvent,
+  createCitationsDeltaEvent,
   createContentBlockStopEvent,
   createMessageDeltaEvent,
   createMessageStopEvent
@@ -24,16 +35,20 @@ import {
 import { logRequest, logStreamComplete, logResponse } from '../request-logger.js';
 
 const router = Router();
+const keyPool = getKeyPool();
 
-// Get API key with rotation support
-function getApiKey() {
-  const keys = (process.env.YDC_API_KEYS || process.env.YDC_API_KEY || '').split(',').filter(k => k.trim());
-  if (keys.length === 0) throw new Error('No API key configured');
-  return keys[Math.floor(Math.random() * keys.length)].trim();
-}
+// Same token system as the OpenAI routes, with Anthropic-shaped errors
+const messagesMiddleware = [
+  authenticateAnthropic,
+  requireScope('messages', 'anthropic'),
+  validateBody(ANTHROPIC_MESSAGES_SCHEMA, 'anthropic'),
+  requireModelAccess('claude-3-5-sonnet-20241022', 'anthropic'),
+  rateLimit({ format: 'anthropic', getAgent: req => mapAnthropicToYouParams(req.body).agent }),
+  trackUsage('/v1/messages')
+];
 
 // Anthropic Messages endpoint
-router.post('/v1/messages', async (req, res) => {
+router.post('/v1/messages', messagesMiddleware, async (req, res) => {
   try {
     const { 
       model = 'claude-3-5-sonnet-20241022',
@@ -45,23 +60,34 @@ router.post('/v1/messages', async (req, res) => {
       metadata
     } = req.body;
 
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    // stop_sequences and max_tokens are enforced on the proxy side (see output-limits.js)
+    const limits = { stop: [], maxTokens: null };
+    try {
+      limits.stop = parseStopSequences(req.body.stop_sequences, { param: 'stop_sequences', max: Infinity });
+      limits.maxTokens = parseMaxTokens(req.body.max_tokens);
+    } catch (error) {
       return res.status(400).json({
         type: 'error',
         error: {
           type: 'invalid_request_error',
-          message: 'messages is required and must be a non-empty array'
+          message: error.message
         }
       });
     }
 
-    const apiKey = getApiKey();
+    if (keyPool.size === 0) throw new Error('No API key configured');
     
     // Handle conversation persistence via metadata or generate new one
     let conversationId = metadata?.conversation_id || generateConversationId();
     const existingConv = getConversation(conversationId);
     if (!existingConv) {
-      createConversation(conversationId);
+      createConversation(conversationId, {}, req.client.id);
+    } else if (!canAccessConversation(req.client, existingConv)) {
+      // Only the owning client (or an admin) may continue a conversation
+      return res.status(404).json({
+        type: 'error',
+        error: { type: 'not_found_error', message: 'Conversation not found' }
+      });
     }
 
     // Map to You.com parameters
@@ -73,6 +99,9 @@ router.post('/v1/messages', async (req, res) => {
       max_tokens,
       stream
     });
+    res.locals.usage.agent = youParams.agent;
+    res.locals.usage.input_chars = youParams.input?.length || 0;
+    res.locals.usage.prompt_tokens = countTokens(youParams.input);
 
     // Get current user input for logging
     const lastUserMsg = messages.filter(m => m.role === 'user').pop();
@@ -96,6 +125,7 @@ router.post('/v1/messages', async (req, res) => {
       endpoint: '/v1/messages (Anthropic)',
       agent: youParams.agent,
       model,
+      client: req.client.name,
       stream,
       conversationId,
       messageCount: fullMessages.length,
@@ -114,6 +144,13 @@ router.post('/v1/messages', async (req, res) => {
       }
     }
 
+    // Cancel the upstream run when the client disconnects before we finish
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+    const signal = abortController.signal;
+
     if (stream) {
       // Streaming response
       res.setHeader('Content-Type', 'text/event-stream');
@@ -121,103 +158,94 @@ router.post('/v1/messages', async (req, res) => {
       res.setHeader('Connection', 'keep-alive');
 
       // Send message_start with conversation_id
-      res.write(createMessageStartEvent(model, conversationId));
+      res.write(createMessageStartEvent(model, conversationId, res.locals.usage.prompt_tokens));
       
       // Send content_block_start
       res.write(createContentBlockStartEvent(0));
 
       try {
-        const response = await callYouApi(apiKey, { ...youParams, stream: true });
+        const response = await keyPool.call({ ...youParams, stream: true }, { signal, ...usageKeyOptions(res) });
         
         let fullContent = '';
-        let buffer = '';
-
-        // Use Web Streams API (ReadableStream)
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+        let upstreamContent = '';
+        const sources = [];
+        const limiter = new OutputLimiter(limits);
 
         const processStream = async () => {
+          let interrupted = false;
           try {
-            while (true) {
-              const { done, value } = await reader.read();
-              if (done) break;
-
-              buffer += decoder.decode(value, { stream: true });
-              const lines = buffer.split('\n');
-              buffer = lines.pop() || '';
+            for await (const event of parseYouStream(response.body)) {
+              if (event.type === STREAM_EVENTS.ERROR) throw new Error(event.message);
+              if (event.sources?.length) mergeSources(sources, event.sources);
 
-              for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                  const data = line.slice(6);
-                  if (data === '[DONE]') continue;
-                  
-                  try {
-                    const parsed = JSON.parse(data);
-                    
-                    // Handle streaming delta format
-                    if (parsed.type === 'response.output_text.delta' && 
-                        parsed.response?.type === 'message.answer' && 
-                        parsed.response?.delta) {
-                      const newText = parsed.response.delta;
-                      if (newText) {
-                        fullContent += newText;
-                        res.write(createContentBlockDeltaEvent(newText, 0));
-                      }
-                    }
-                    
-                    // Also handle full output format (non-streaming fallback)
-                    if (parsed.output) {
-                      for (const item of parsed.output) {
-                        if (item.type === 'message.answer' && item.text) {
-                          const newText = item.text.slice(fullContent.length);
-                          if (newText) {
-                            fullContent = item.text;
-                            res.write(createContentBlockDeltaEvent(newText, 0));
-                          }
-                        }
-                      }
-                    }
-                  } catch (e) {
-                    // Skip invalid JSON
-                  }
-                }
+              const newText = getAnswerIncrement(event, upstreamContent);
+              if (!newText) continue;
+              upstreamContent += newText;
+              const visible = limiter.push(newText);
+              if (visible) {
+                fullContent += visible;
+                res.write(createContentBlockDeltaEvent(visible, 0));
               }
+              // Limit reached: leaving the loop cancels the upstream stream
+              if (limiter.done) break;
             }
-
-            // Store assistant response
-            if (conversationId && fullContent) {
-              addMessageToConversation(conversationId, 'assistant', fullContent);
+            const rest = limiter.finish();
+            if (rest) {
+              fullContent += rest;
+              res.write(createContentBlockDeltaEvent(rest, 0));
+            }
+          } catch (error) {
+            if (!signal.aborted) {
+              console.error('Stream processing error:', error);
+              res.locals.usage.status = 'error';
+              res.locals.usage.output_chars = fullContent.length;
+              res.locals.usage.completion_tokens = countTokens(fullContent);
+              res.write(createContentBlockDeltaEvent(`Error: ${error.message}`, 0));
+              res.write(createContentBlockStopEvent(0));
+              res.write(createMessageDeltaEvent(res.locals.usage.completion_tokens));
+              res.write(createMessageStopEvent());
+              res.end();
+              return;
             }
+            interrupted = true;
+          }
 
-            logStreamComplete({
-              conversationId,
-              contentLength: fullContent.length,
-              messageCount: fullMessages.length + 1,
-              agent: youParams.agent,
-              stream: true,
-              responsePreview: fullContent,
-              inputMessages: [...fullMessages, { role: 'assistant', content: fullContent }]
-            });
+          res.locals.usage.output_chars = fullContent.length;
+          res.locals.usage.completion_tokens = countTokens(fullContent);
 
-            // Send closing events
-            res.write(createContentBlockStopEvent(0));
-            res.write(createMessageDeltaEvent(Math.floor(fullContent.length / 4)));
-            res.write(createMessageStopEvent());
-            res.end();
-          } catch (error) {
-            console.error('Stream processing error:', error);
-            res.write(createContentBlockDeltaEvent(`Error: ${error.message}`, 0));
-            res.write(createContentBlockStopEvent(0));
-            res.write(createMessageDeltaEvent(0));
-            res.write(createMessageStopEvent());
-            res.end();
+          // Store assistant response (partial replies from disconnected clients are marked)
+          if (conversationId && fullContent) {
+            addMessageToConversation(conversationId, 'assistant', fullContent, interrupted ? { interrupted: true } : null);
           }
+
+          logStreamComplete({
+            conversationId,
+            contentLength: fullContent.length,
+            messageCount: fullMessages.length + 1,
+            agent: youParams.agent + (interrupted ? ' [interrupted]' : ''),
+            stream: true,
+            responsePreview: fullContent,
+            inputMessages: [...fullMessages, { role: 'assistant', content: fullContent }]
+          });
+
+          if (interrupted) return;
+
+          // Send citations, then closing events
+          toAnthropicCitations(sources).forEach(citation => {
+            res.write(createCitationsDeltaEvent(citation, 0));
+          });
+          res.write(createContentBlockStopEvent(0));
+          res.write(createMessageDeltaEvent(res.locals.usage.completion_tokens, limiter.reason || 'end_turn', limiter.stopSequence));
+          res.write(createMessageStopEvent());
+          res.end();
         };
 
         processStream();
 
       } catch (error) {
+        if (signal.aborted) return;
         console.error('Streaming error:', error);
+        res.locals.usage.status = 'error';
         res.write(createContentBlockDeltaEvent(`Error: ${error.message}`, 0));
         res.write(createContentBlockStopEvent(0));
         res.write(createMessageDeltaEvent(0));
@@ -227,15 +255,17 @@ router.post('/v1/messages', async (req, res) => {
 
     } else {
       // Non-streaming response
-      const response = await callYouApi(apiKey, youParams);
+      const response = await keyPool.call(youParams, { signal, ...usageKeyOptions(res) });
       const data = await response.json();
       
       console.log('📥 You.com response received');
       
-      const anthropicResponse = convertToAnthropicResponse(data, model);
+      const anthropicResponse = convertToAnthropicResponse(data, model, res.locals.usage.prompt_tokens, limits);
       
       // Store assistant response
       const assistantContent = anthropicResponse.content[0]?.text || '';
+      res.locals.usage.output_chars = assistantContent.length;
+      res.locals.usage.completion_tokens = anthropicResponse.usage.output_tokens;
       if (conversationId && assistantContent) {
         addMessageToConversation(conversationId, 'assistant', assistantContent);
         // Add conversation_id to response
@@ -255,7 +285,24 @@ router.post('/v1/messages', async (req, res) => {
     }
 
   } catch (error) {
+    if (error instanceof YouApiError && error.kind === 'aborted') {
+      console.log('⚠️ Client disconnected, upstream request cancelled');
+      return;
+    }
     console.error('Anthropic messages error:', error);
+    if (error instanceof YouApiError) {
+      if (error.retryAfter !== null) {
+        res.setHeader('Retry-After', Math.ceil(error.retryAfter / 1000));
+      }
+      // Anthropic has no timeout_error type; report timeouts as api_error
+      return res.status(error.httpStatus).json({
+        type: 'error',
+        error: {
+          type: error.type === 'timeout_error' ? 'api_error' : error.type,
+          message: error.message
+        }
+      });
+    }
     res.status(500).json({
       type: 'error',
       error: {
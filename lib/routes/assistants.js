@@ -0,0 +1,355 @@
+/**
+ * Assistants Route
+ * OpenAI Assistants-style API over the conversation store: assistants are named presets
+ * of model + instructions, a thread is a conversation whose id is the thread id, and a
+ * run answers a thread in the background (poll it, or stream its events with `stream`)
+ */
+
+import { Router } from 'express';
+import { authenticate, requireScope, isModelAllowed, getOwnerFilter, canAccessConversation } from '../auth-middleware.js';
+import { rateLimit, holdConcurrencySlots } from '../rate-limiter.js';
+import { validateBody } from '../request-validation.js';
+import {
+  ASSISTANT_SCHEMA,
+  THREAD_SCHEMA,
+  THREAD_UPDATE_SCHEMA,
+  THREAD_MESSAGE_SCHEMA,
+  RUN_SCHEMA
+} from '../request-schemas.js';
+import { startBackgroundUsage } from '../usage-tracker.js';
+import { mapOpenAIToYouParams } from '../openai-mapper.js';
+import { parseMaxTokens } from '../output-limits.js';
+import { contentToText, ContentPartError } from '../content-parts.js';
+import { getKeyPool } from '../key-pool.js';
+import { listAssistants, getAssistant, createAssistant, updateAssistant, deleteAssistant } from '../assistant-store.js';
+import {
+  generateObjectId,
+  toThreadMessage,
+  getActiveRun,
+  getRun,
+  listRuns,
+  createRun,
+  startRun,
+  cancelRun
+} from '../thread-runs.js';
+import {
+  getConversation,
+  createConversation,
+  updateConversationMetadata,
+  addMessageToConversation,
+  deleteConversation
+} from '../conversation-store.js';
+
+const router = Router();
+const keyPool = getKeyPool();
+
+function invalidRequest(res, message, param, code) {
+  return res.status(400).json({
+    error: { message, type: 'invalid_request_error', param, code }
+  });
+}
+
+function notFound(res, kind, id) {
+  return res.status(404).json({
+    error: {
+      message: `No ${kind} found with id '${id}'`,
+      type: 'not_found_error',
+      param: null,
+      code: `${kind}_not_found`
+    }
+  });
+}
+
+/**
+ * OpenAI list envelope with limit / order / after / before cursors
+ * @param {object[]} items - objects with `id` and `created_at`, oldest first
+ */
+function paginate(items, query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  let data = query.order === 'asc' ? items : [...items].reverse();
+  if (query.after) data = data.slice(data.findIndex(item => item.id === query.after) + 1);
+  if (query.before) {
+    const index = data.findIndex(item => item.id === query.before);
+    if (index >= 0) data = data.slice(0, index);
+  }
+  const page = data.slice(0, limit);
+  return {
+    object: 'list',
+    data: page,
+    first_id: page[0]?.id || null,
+    last_id: page[page.length - 1]?.id || null,
+    has_more: data.length > limit
+  };
+}
+
+function canAccessAssistant(client, entry) {
+  const owner = getOwnerFilter(client);
+  return owner === null || entry.owner === owner;
+}
+
+function getAccessibleAssistant(client, id) {
+  const entry = getAssistant(id);
+  return entry && canAccessAssistant(client, entry) ? entry.assistant : null;
+}
+
+/**
+ * Stored thread (a conversation created by this route) the client may access
+ */
+function getThread(client, id) {
+  const conv = getConversation(id);
+  if (!conv || conv.metadata?.object !== 'thread' || !canAccessConversation(client, conv)) return null;
+  return conv;
+}
+
+function toThreadObject(conv) {
+  return {
+    id: conv.id,
+    object: 'thread',
+    created_at: Math.floor(conv.createdAt / 1000),
+    metadata: conv.metadata.metadata || {},
+    tool_resources: {}
+  };
+}
+
+function threadMessages(conv) {
+  return conv.messages
+    .filter(m => m.metadata?.id)
+    .map(m => toThreadMessage(conv.id, m));
+}
+
+/**
+ * Thread message from a (schema-checked) request message; content parts become text
+ * @param {string|null} param - location of the message in the request body, for errors
+ * @throws {ContentPartError} for attachments the attachment policy rejects
+ */
+function parseThreadMessage(message, param = null) {
+  const content = contentToText(message.content, { param: param ? `${param}.content` : 'content' });
+  return { role: message.role, content, metadata: message.metadata || {} };
+}
+
+function addThreadMessage(threadId, message) {
+  const metadata = { id: generateObjectId('msg'), metadata: message.metadata };
+  const conv = addMessageToConversation(threadId, message.role, message.content, metadata);
+  return toThreadMessage(threadId, conv.messages[conv.messages.length - 1]);
+}
+
+// ---- Assistants ----
+
+router.post('/v1/assistants', authenticate, requireScope('conversations'), validateBody(ASSISTANT_SCHEMA), (req, res) => {
+  if (!isModelAllowed(req.client, req.body.model || 'advanced')) {
+    return res.status(403).json({
+      error: { message: `Model '${req.body.model || 'advanced'}' is not allowed for this access token`, type: 'permission_error', code: 'model_not_allowed' }
+    });
+  }
+  res.json(createAssistant(req.body, req.client.id));
+});
+
+router.get('/v1/assistants', authenticate, requireScope('conversations'), (req, res) => {
+  const assistants = listAssistants(getOwnerFilter(req.client)).map(entry => entry.assistant).reverse();
+  res.json(paginate(assistants, req.query));
+});
+
+router.get('/v1/assistants/:id', authenticate, requireScope('conversations'), (req, res) => {
+  const assistant = getAccessibleAssistant(req.client, req.params.id);
+  if (!assistant) return notFound(res, 'assistant', req.params.id);
+  res.json(assistant);
+});
+
+router.post('/v1/assistants/:id', authenticate, requireScope('conversations'), validateBody(ASSISTANT_SCHEMA), (req, res) => {
+  if (!getAccessibleAssistant(req.client, req.params.id)) return notFound(res, 'assistant', req.params.id);
+  res.json(updateAssistant(req.params.id, req.body));
+});
+
+router.delete('/v1/assistants/:id', authenticate, requireScope('conversations'), (req, res) => {
+  if (!getAccessibleAssistant(req.client, req.params.id)) return notFound(res, 'assistant', req.params.id);
+  deleteAssistant(req.params.id);
+  res.json({ id: req.params.id, object: 'assistant.deleted', deleted: true });
+});
+
+// ---- Threads ----
+
+router.post('/v1/threads', authenticate, requireScope('conversations'), validateBody(THREAD_SCHEMA), (req, res) => {
+  let parsed;
+  try {
+    parsed = (req.body.messages || []).map((message, index) => parseThreadMessage(message, `messages[${index}]`));
+  } catch (error) {
+    if (error instanceof ContentPartError) return invalidRequest(res, error.message, error.param, 'invalid_message');
+    throw error;
+  }
+
+  const conv = createConversation(generateObjectId('thread'), { object: 'thread', metadata: req.body.metadata || {} }, req.client.id);
+  parsed.forEach(message => addThreadMessage(conv.id, message));
+  res.json(toThreadObject(conv));
+});
+
+router.get('/v1/threads/:id', authenticate, requireScope('conversations'), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  res.json(toThreadObject(conv));
+});
+
+router.post('/v1/threads/:id', authenticate, requireScope('conversations'), validateBody(THREAD_UPDATE_SCHEMA), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  if (req.body.metadata !== undefined) {
+    conv.metadata = { ...conv.metadata, metadata: req.body.metadata || {} };
+    updateConversationMetadata(conv.id, conv.metadata);
+  }
+  res.json(toThreadObject(conv));
+});
+
+router.delete('/v1/threads/:id', authenticate, requireScope('conversations'), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  const activeRun = getActiveRun(conv.id);
+  if (activeRun) cancelRun(activeRun);
+  deleteConversation(conv.id);
+  res.json({ id: conv.id, object: 'thread.deleted', deleted: true });
+});
+
+// ---- Messages ----
+
+router.post('/v1/threads/:id/messages', authenticate, requireScope('conversations'), validateBody(THREAD_MESSAGE_SCHEMA), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  if (getActiveRun(conv.id)) {
+    return invalidRequest(res, `Can't add messages to ${conv.id} while a run is active`, null, 'thread_locked');
+  }
+
+  let message;
+  try {
+    message = parseThreadMessage(req.body);
+  } catch (error) {
+    if (error instanceof ContentPartError) return invalidRequest(res, error.message, error.param, 'invalid_message');
+    throw error;
+  }
+  res.json(addThreadMessage(conv.id, message));
+});
+
+router.get('/v1/threads/:id/messages', authenticate, requireScope('conversations'), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  let messages = threadMessages(conv);
+  if (req.query.run_id) messages = messages.filter(m => m.run_id === req.query.run_id);
+  res.json(paginate(messages, req.query));
+});
+
+router.get('/v1/threads/:id/messages/:message_id', authenticate, requireScope('conversations'), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  const message = threadMessages(conv).find(m => m.id === req.params.message_id);
+  if (!message) return notFound(res, 'message', req.params.message_id);
+  res.json(message);
+});
+
+// ---- Runs ----
+
+const runsRateLimit = rateLimit({
+  format: 'openai',
+  getAgent: req => {
+    const model = req.body.model || getAssistant(req.body.assistant_id)?.assistant.model;
+    return mapOpenAIToYouParams({ model, messages: [], temperature: req.body.temperature }).agent;
+  }
+});
+
+router.post('/v1/threads/:id/runs', authenticate, requireScope('chat'), validateBody(RUN_SCHEMA), runsRateLimit, (req, res) => {
+  const body = req.body;
+  if (keyPool.size === 0) {
+    return res.status(500).json({
+      error: {
+        message: 'YDC_API_KEY not configured on server',
+        type: 'server_error',
+        code: 'missing_api_key'
+      }
+    });
+  }
+
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  const assistant = getAccessibleAssistant(req.client, body.assistant_id);
+  if (!assistant) return notFound(res, 'assistant', body.assistant_id);
+  if (getActiveRun(conv.id)) {
+    return invalidRequest(res, `Thread ${conv.id} already has an active run`, null, 'thread_locked');
+  }
+
+  const model = body.model || assistant.model;
+  if (!isModelAllowed(req.client, model)) {
+    return res.status(403).json({
+      error: { message: `Model '${model}' is not allowed for this access token`, type: 'permission_error', code: 'model_not_allowed' }
+    });
+  }
+  try {
+    parseMaxTokens(body.max_completion_tokens, 'max_completion_tokens');
+  } catch (error) {
+    return invalidRequest(res, error.message, 'max_completion_tokens', 'invalid_max_tokens');
+  }
+
+  let additionalMessages;
+  try {
+    additionalMessages = (body.additional_messages || []).map((message, index) => parseThreadMessage(message, `additional_messages[${index}]`));
+  } catch (error) {
+    if (error instanceof ContentPartError) return invalidRequest(res, error.message, error.param, 'invalid_message');
+    throw error;
+  }
+  additionalMessages.forEach(message => addThreadMessage(conv.id, message));
+
+  const entry = createRun({
+    threadId: conv.id,
+    assistant,
+    body,
+    usage: startBackgroundUsage(req, '/v1/threads/runs')
+  });
+  console.log(`🧵 Run ${entry.run.id} queued on ${conv.id} (assistant: ${assistant.id}, model: ${entry.run.model})`);
+  // The run outlives the response, so it keeps its concurrency slots until it ends
+  const releaseSlots = holdConcurrencySlots(res);
+
+  if (!body.stream) {
+    res.json(entry.run);
+    return startRun(entry, releaseSlots);
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    if (event === 'done') res.end();
+  };
+  // The run keeps going when the client disconnects; only the event feed stops
+  entry.events.on('event', send);
+  res.on('close', () => entry.events.off('event', send));
+
+  send('thread.run.created', entry.run);
+  send('thread.run.queued', entry.run);
+  startRun(entry, releaseSlots);
+});
+
+router.get('/v1/threads/:id/runs', authenticate, requireScope('chat'), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  res.json(paginate(listRuns(conv.id), req.query));
+});
+
+router.get('/v1/threads/:id/runs/:run_id', authenticate, requireScope('chat'), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  const entry = getRun(conv.id, req.params.run_id);
+  if (!entry) return notFound(res, 'run', req.params.run_id);
+  res.json(entry.run);
+});
+
+router.post('/v1/threads/:id/runs/:run_id/cancel', authenticate, requireScope('chat'), (req, res) => {
+  const conv = getThread(req.client, req.params.id);
+  if (!conv) return notFound(res, 'thread', req.params.id);
+  const entry = getRun(conv.id, req.params.run_id);
+  if (!entry) return notFound(res, 'run', req.params.run_id);
+  if (!cancelRun(entry)) {
+    return invalidRequest(res, `Cannot cancel run with status '${entry.run.status}'`, null, 'run_not_active');
+  }
+  res.json(entry.run);
+});
+
+export default router;
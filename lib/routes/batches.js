@@ -0,0 +1,104 @@
+/**
+ * Batches Route
+ * OpenAI Batch API (/v1/batches): a batch runs the request lines of an uploaded JSONL file
+ * in the background (see batch-runner.js) and reports progress through `request_counts`;
+ * results come back as output and error files under /v1/files
+ */
+
+import { Router } from 'express';
+import { authenticate, requireScope, getOwnerFilter } from '../auth-middleware.js';
+import { getKeyPool } from '../key-pool.js';
+import { validateBody } from '../request-validation.js';
+import { BATCH_SCHEMA } from '../request-schemas.js';
+import { getBatchStore } from '../batch-store.js';
+import { BATCH_ENDPOINTS, createBatch, getBatch, cancelBatch } from '../batch-runner.js';
+
+const router = Router();
+const keyPool = getKeyPool();
+const batchStore = getBatchStore();
+
+function invalidRequest(res, message, param, code) {
+  return res.status(400).json({
+    error: { message, type: 'invalid_request_error', param, code }
+  });
+}
+
+function batchNotFound(res, id) {
+  return res.status(404).json({
+    error: {
+      message: `No batch found with id '${id}'`,
+      type: 'not_found_error',
+      param: 'id',
+      code: 'batch_not_found'
+    }
+  });
+}
+
+function getAccessibleBatch(client, id) {
+  const entry = getBatch(id);
+  const owner = getOwnerFilter(client);
+  return entry && (owner === null || entry.owner === owner) ? entry.batch : null;
+}
+
+router.post('/v1/batches', authenticate, requireScope('chat'), validateBody(BATCH_SCHEMA), (req, res) => {
+  if (keyPool.size === 0) {
+    return res.status(500).json({
+      error: {
+        message: 'YDC_API_KEY not configured on server',
+        type: 'server_error',
+        code: 'missing_api_key'
+      }
+    });
+  }
+
+  const { input_file_id, endpoint, completion_window, metadata = null } = req.body;
+  const owner = getOwnerFilter(req.client);
+  const file = typeof input_file_id === 'string' ? batchStore.getFile(input_file_id) : null;
+  if (!file || (owner !== null && file.owner !== owner)) {
+    return invalidRequest(res, `No such File object: ${input_file_id}`, 'input_file_id', 'invalid_input_file');
+  }
+  if (file.file.purpose !== 'batch') {
+    return invalidRequest(res, "The input file must be uploaded with purpose 'batch'", 'input_file_id', 'invalid_input_file');
+  }
+  if (!BATCH_ENDPOINTS.includes(endpoint)) {
+    return invalidRequest(res, `endpoint must be one of: ${BATCH_ENDPOINTS.join(', ')}`, 'endpoint', 'invalid_endpoint');
+  }
+  if (completion_window !== '24h') {
+    return invalidRequest(res, "completion_window must be '24h'", 'completion_window', 'invalid_completion_window');
+  }
+
+  const batch = createBatch({ inputFileId: input_file_id, endpoint, metadata, client: req.client });
+  res.json(batch);
+});
+
+router.get('/v1/batches', authenticate, requireScope('chat'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  let batches = batchStore.listBatches(getOwnerFilter(req.client)).map(entry => getBatch(entry.batch.id).batch).reverse();
+  if (req.query.after) batches = batches.slice(batches.findIndex(batch => batch.id === req.query.after) + 1);
+  const page = batches.slice(0, limit);
+  res.json({
+    object: 'list',
+    data: page,
+    first_id: page[0]?.id || null,
+    last_id: page[page.length - 1]?.id || null,
+    has_more: batches.length > limit
+  });
+});
+
+router.get('/v1/batches/:id', authenticate, requireScope('chat'), (req, res) => {
+  const batch = getAccessibleBatch(req.client, req.params.id);
+  if (!batch) return batchNotFound(res, req.params.id);
+  res.json(batch);
+});
+
+router.post('/v1/batches/:id/cancel', authenticate, requireScope('chat'), (req, res) => {
+  const batch = getAccessibleBatch(req.client, req.params.id);
+  if (!batch) return batchNotFound(res, req.params.id);
+  const cancelled = cancelBatch(batch.id);
+  if (!cancelled) {
+    return invalidRequest(res, `Cannot cancel a batch with status '${batch.status}'`, null, 'batch_not_cancellable');
+  }
+  res.json(cancelled);
+});
+
+export default router;
@@ -3,30 +3,53 @@
  */
 
 import { Router } from 'express';
-import { authenticate } from '../auth-middleware.js';
-import { mapOpenAIToYouParams, convertToOpenAIResponse, createStreamChunk } from '../openai-mapper.js';
-import { callYouApi } from '../api-client.js';
+import { authenticate, requireScope, requireModelAccess, canAccessConversation } from '../auth-middleware.js';
+import { rateLimit } from '../rate-limiter.js';
+import { validateBody, createErrorBody } from '../request-validation.js';
+import { CHAT_COMPLETION_SCHEMA } from '../request-schemas.js';
+import { trackUsage, usageKeyOptions } from '../usage-tracker.js';
+import { mapOpenAIToYouParams, createStreamChunk, createToolCallsChunk, createUsageChunk, createUsage, getFinishReason } from '../openai-mapper.js';
+import { getFunctionTools, getTrailingToolMessages, formatToolCallsForPrompt } from '../tool-calls.js';
+import { StructuredOutputError } from '../structured-output.js';
+import { parseChatRequest, createChatCompletion, readAnswerStream, ChatRequestError } from '../chat-completion.js';
+import { countTokens } from '../token-counter.js';
+import { getTextContent } from '../content-parts.js';
+import { YouApiError } from '../api-client.js';
+import { getKeyPool } from '../key-pool.js';
+import { toOpenAIAnnotations } from '../sources.js';
 import { 
   getConversation, 
+  createConversation,
   addMessageToConversation,
   generateConversationId 
 } from '../conversation-store.js';
 import { logRequest, logStreamComplete } from '../request-logger.js';
 
 const router = Router();
-const API_KEY = process.env.YDC_API_KEY;
+const keyPool = getKeyPool();
 
-router.post('/v1/chat/completions', authenticate, async (req, res) => {
+function invalidRequest(res, message, param, code) {
+  return res.status(400).json({
+    error: { message, type: 'invalid_request_error', param, code }
+  });
+}
+
+// `developer` messages (newer OpenAI clients) are instructions like `system` ones
+const isInstruction = message => message.role === 'system' || message.role === 'developer';
+
+const chatRateLimit = rateLimit({ format: 'openai', getAgent: req => mapOpenAIToYouParams(req.body).agent });
+
+router.post('/v1/chat/completions', authenticate, requireScope('chat'), validateBody(CHAT_COMPLETION_SCHEMA), requireModelAccess('advanced'), chatRateLimit, trackUsage('/v1/chat/completions'), async (req, res) => {
   try {
     // Debug: log raw request
     console.log('📨 Raw request body:', JSON.stringify({
       conversation_id: req.body.conversation_id,
       model: req.body.model,
       messages_count: req.body.messages?.length,
-      messages: req.body.messages?.map(m => ({ role: m.role, content: m.content?.substring(0, 50) }))
+      messages: req.body.messages?.map(m => ({ role: m.role, content: getTextContent(m.content).substring(0, 50) }))
     }, null, 2));
     
-    if (!API_KEY) {
+    if (keyPool.size === 0) {
       return res.status(500).json({
         error: {
           message: 'YDC_API_KEY not configured on server',
@@ -36,16 +59,42 @@ router.post('/v1/chat/completions', authenticate, async (req, res) => {
       });
     }
 
-    const { conversation_id, messages } = req.body;
+    let responseFormat, n, limits, messages;
+    try {
+      ({ responseFormat, n, limits, messages } = parseChatRequest(req.body));
+    } catch (error) {
+      if (!(error instanceof ChatRequestError)) throw error;
+      return invalidRequest(res, error.message, error.param, error.code);
+    }
+
+    const { conversation_id } = req.body;
     let conversationId = conversation_id;
-    let fullMessages = messages || [];
+    let fullMessages = messages;
     
     if (conversationId) {
       const existingConv = getConversation(conversationId);
-      if (existingConv && existingConv.messages.length > 0) {
-        const storedMessages = existingConv.messages.map(m => ({ role: m.role, content: m.content }));
+      // Only the owning client (or an admin) may continue a conversation
+      if (existingConv && !canAccessConversation(req.client, existingConv)) {
+        return res.status(404).json({
+          error: {
+            message: 'Conversation not found',
+            type: 'not_found_error',
+            code: 'conversation_not_found'
+          }
+        });
+      }
+      if (!existingConv) {
+        createConversation(conversationId, {}, req.client.id);
+      } else if (existingConv.messages.length > 0) {
+        const storedMessages = existingConv.messages.map(m => ({
+          role: m.role,
+          content: m.content,
+          ...(m.metadata?.tool_calls && { content: null, tool_calls: m.metadata.tool_calls }),
+          ...(m.metadata?.tool_call_id && { tool_call_id: m.metadata.tool_call_id })
+        }));
         const newUserMessages = fullMessages.filter(m => m.role === 'user');
-        const systemMsg = fullMessages.find(m => m.role === 'system') || storedMessages.find(m => m.role === 'system');
+        const newToolMessages = getTrailingToolMessages(fullMessages);
+        const systemMsg = fullMessages.find(isInstruction) || storedMessages.find(m => m.role === 'system');
         
         fullMessages = systemMsg ? [systemMsg] : [];
         fullMessages.push(...storedMessages.filter(m => m.role !== 'system'));
@@ -57,17 +106,23 @@ router.post('/v1/chat/completions', authenticate, async (req, res) => {
             fullMessages.push(lastNewUserMsg);
           }
         }
+        // Results for the tool calls of the stored assistant reply
+        fullMessages.push(...newToolMessages);
       }
     } else {
       conversationId = generateConversationId();
+      createConversation(conversationId, {}, req.client.id);
     }
     
+    const toolResults = getTrailingToolMessages(fullMessages);
     const lastUserMsg = fullMessages.filter(m => m.role === 'user').pop();
-    if (lastUserMsg) {
+    if (toolResults.length > 0) {
+      toolResults.forEach(m => addMessageToConversation(conversationId, 'tool', m.content, { tool_call_id: m.tool_call_id }));
+    } else if (lastUserMsg) {
       addMessageToConversation(conversationId, 'user', lastUserMsg.content);
     }
     
-    const systemMsg = fullMessages.find(m => m.role === 'system');
+    const systemMsg = fullMessages.find(isInstruction);
     if (systemMsg) {
       const conv = getConversation(conversationId);
       if (conv && !conv.messages.some(m => m.role === 'system')) {
@@ -76,6 +131,9 @@ router.post('/v1/chat/completions', authenticate, async (req, res) => {
     }
 
     const youParams = mapOpenAIToYouParams({ ...req.body, messages: fullMessages });
+    res.locals.usage.agent = youParams.agent;
+    res.locals.usage.input_chars = youParams.input?.length || 0;
+    res.locals.usage.prompt_tokens = countTokens(youParams.input);
     
     // Get current user input for logging
     const currentUserMsg = fullMessages.filter(m => m.role === 'user').pop();
@@ -85,6 +143,7 @@ router.post('/v1/chat/completions', authenticate, async (req, res) => {
       endpoint: '/v1/chat/completions (OpenAI)',
       agent: youParams.agent,
       model: req.body.model,
+      client: req.client.name,
       stream: req.body.stream || false,
       conversationId,
       messageCount: fullMessages.length,
@@ -94,23 +153,66 @@ router.post('/v1/chat/completions', authenticate, async (req, res) => {
 
     const timeoutMs = youParams.timeout || (youParams.agent === 'advanced' ? 3000000 : 300000);
 
-    if (req.body.stream) {
-      const response = await callYouApi(API_KEY, { ...youParams, stream: true }, { timeout: timeoutMs });
-      await handleStreamingResponse(req, res, response, youParams, conversationId, fullMessages);
+    // Cancel the upstream run when the client disconnects before we finish
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+    const signal = abortController.signal;
+
+    // n > 1 fans out parallel runs; each pool call picks its own key
+    const callOptions = { timeout: timeoutMs, signal, ...usageKeyOptions(res) };
+
+    if (req.body.stream && !responseFormat) {
+      const runs = Array.from({ length: n }, () => ({ ...youParams, stream: true }));
+      const responses = await keyPool.callAll(runs, callOptions, abortController);
+      await handleStreamingResponse(req, res, responses, youParams, conversationId, fullMessages, abortController, limits);
     } else {
-      const response = await callYouApi(API_KEY, youParams, { timeout: timeoutMs });
-      await handleNonStreamingResponse(req, res, response, conversationId, fullMessages);
+      // response_format choices are validated (and repaired) before anything is sent
+      const completion = await createChatCompletion({
+        body: req.body,
+        youParams,
+        responseFormat,
+        n,
+        limits,
+        callOptions,
+        controller: abortController,
+        promptTokens: res.locals.usage.prompt_tokens
+      });
+      sendCompletion(req, res, completion, youParams, conversationId, fullMessages);
     }
 
   } catch (error) {
+    if (error instanceof YouApiError && error.kind === 'aborted') {
+      console.log('⚠️ Client disconnected, upstream request cancelled');
+      return;
+    }
     console.error('❌ Server error:', error);
     
-    if (error.name === 'AbortError') {
-      return res.status(408).json({
+    if (error instanceof StructuredOutputError) {
+      res.locals.usage.output_chars = error.output.length;
+      return res.status(502).json({
+        error: {
+          message: error.message,
+          type: 'api_error',
+          param: 'response_format',
+          code: 'response_format_validation_failed',
+          validation_errors: error.errors
+        }
+      });
+    }
+
+    if (error instanceof YouApiError) {
+      if (error.retryAfter !== null) {
+        res.setHeader('Retry-After', Math.ceil(error.retryAfter / 1000));
+      }
+      return res.status(error.httpStatus).json({
         error: {
-          message: 'Request timeout - Advanced agent responses may require extended processing time',
-          type: 'timeout_error',
-          code: 'request_timeout'
+          message: error.kind === 'timeout'
+            ? 'Request timeout - Advanced agent responses may require extended processing time'
+            : error.message,
+          type: error.type,
+          code: error.code
         }
       });
     }
@@ -125,125 +227,169 @@ router.post('/v1/chat/completions', authenticate, async (req, res) => {
   }
 });
 
-async function handleStreamingResponse(req, res, response, youParams, conversationId, inputMessages = []) {
+/**
+ * Store the reply of the first choice (only one reply per turn is kept)
+ */
+function storeAssistantReply(conversationId, content, toolCalls, metadata = null) {
+  if (!conversationId) return;
+  if (toolCalls) {
+    addMessageToConversation(conversationId, 'assistant', formatToolCallsForPrompt(toolCalls), { tool_calls: toolCalls });
+  } else if (content) {
+    addMessageToConversation(conversationId, 'assistant', content, metadata);
+  }
+}
+
+async function handleStreamingResponse(req, res, responses, youParams, conversationId, inputMessages = [], abortController = null, limits = {}) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('Access-Control-Allow-Origin', '*');
 
-  if (!response.body) {
-    res.write(`data: {"error": "No response body"}\n\n`);
-    res.end();
-    return;
-  }
-
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
-  let fullContent = '';
   const model = req.body.model || 'advanced';
   const messageCount = req.body.messages?.length || 0;
+  const functionTools = getFunctionTools(req.body.tools, req.body.tool_choice).tools;
   const STREAM_TIMEOUT = youParams.timeout || (youParams.agent === 'advanced' ? 3000000 : 300000);
+  const signal = abortController?.signal;
 
-  try {
-    let streamTimeout = setTimeout(() => {
-      const chunk = createStreamChunk(model, `\n\n[Response timeout]`, 'length');
-      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
-    }, STREAM_TIMEOUT);
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) {
-        clearTimeout(streamTimeout);
-        break;
-      }
+  // Chunks of all choices are interleaved on one stream, each tagged with its index
+  const send = (chunk) => {
+    if (!res.writableEnded) res.write(`data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`);
+  };
+  const choices = responses.map((response, index) => ({
+    index,
+    response,
+    content: '',
+    toolCalls: null,
+    limitReason: null,
+    failed: false
+  }));
 
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          try {
-            const data = JSON.parse(line.slice(6));
-            
-            if (data.type === 'response.output_text.delta' && 
-                data.response?.type === 'message.answer' && 
-                data.response?.delta) {
-              
-              clearTimeout(streamTimeout);
-              streamTimeout = setTimeout(() => {
-                const chunk = createStreamChunk(model, `\n\n[Response timeout]`, 'length');
-                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-                res.write('data: [DONE]\n\n');
-                res.end();
-              }, STREAM_TIMEOUT);
-
-              fullContent += data.response.delta;
-              const chunk = createStreamChunk(model, data.response.delta);
-              res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-            }
-          } catch (e) {
-            console.error('❌ Error parsing streaming data:', e);
-          }
+  // Ending the response does not trigger the 'close' abort, so cancel the upstream runs here;
+  // the client gets an error event, not a reply that looks finished
+  let timedOut = false;
+  const onStreamTimeout = () => {
+    timedOut = true;
+    abortController?.abort();
+    send(createErrorBody('openai', 408, { message: 'Stream timeout - no output from upstream within the time limit', type: 'timeout_error', code: 'stream_timeout' }));
+    send('[DONE]');
+    res.end();
+  };
+  let streamTimeout = setTimeout(onStreamTimeout, STREAM_TIMEOUT);
+
+  const streamChoice = async (choice) => {
+    if (!choice.response.body) {
+      choice.failed = true;
+      send(createErrorBody('openai', 502, { message: 'No response body', type: 'api_error', code: 'stream_error' }));
+      return;
+    }
+
+    try {
+      const result = await readAnswerStream(choice.response, {
+        functionTools,
+        limits,
+        onActivity: () => {
+          clearTimeout(streamTimeout);
+          streamTimeout = setTimeout(onStreamTimeout, STREAM_TIMEOUT);
+        },
+        onText: text => {
+          choice.content += text;
+          send(createStreamChunk(model, text, null, null, choice.index));
         }
+      });
+      choice.toolCalls = result.toolCalls;
+      choice.limitReason = result.limitReason;
+      if (choice.toolCalls) {
+        send(createToolCallsChunk(model, choice.toolCalls, choice.index));
+      } else if (result.sources.length > 0) {
+        send(createStreamChunk(model, null, null, toOpenAIAnnotations(choice.content, result.sources), choice.index));
       }
+    } catch (streamError) {
+      if (signal?.aborted) return;
+      choice.failed = true;
+      console.error('❌ Streaming error:', streamError);
+      send(createErrorBody('openai', 502, { message: `Streaming error: ${streamError.message}`, type: 'api_error', code: 'stream_error' }));
     }
-    
-    clearTimeout(streamTimeout);
-    
-    // Store assistant response
-    if (conversationId && fullContent) {
-      addMessageToConversation(conversationId, 'assistant', fullContent);
-    }
-    
-    // Log completion
-    logStreamComplete({
-      conversationId,
-      contentLength: fullContent.length,
-      messageCount: messageCount + 1,
-      agent: youParams.agent,
-      stream: true,
-      responsePreview: fullContent,
-      inputMessages: inputMessages
-    });
-    
-  } catch (streamError) {
-    console.error('❌ Streaming error:', streamError);
-    res.write(`data: {"error": "Streaming error: ${streamError.message}"}\n\n`);
-  } finally {
-    const finalChunk = createStreamChunk(model, null, 'stop');
-    res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
-    res.write('data: [DONE]\n\n');
+    send(createStreamChunk(model, null, choice.toolCalls ? 'tool_calls' : getFinishReason(choice.limitReason), null, choice.index));
+  };
+
+  await Promise.all(choices.map(streamChoice));
+  clearTimeout(streamTimeout);
+
+  const promptTokens = res.locals.usage.prompt_tokens;
+  const outputTexts = choices.map(choice => choice.toolCalls ? formatToolCallsForPrompt(choice.toolCalls) : choice.content);
+  const completionTokens = outputTexts.reduce((sum, text) => sum + countTokens(text), 0);
+  const interrupted = !!signal?.aborted;
+  if (!interrupted && !res.writableEnded) {
+    if (req.body.stream_options?.include_usage) send(createUsageChunk(model, createUsage(promptTokens, completionTokens)));
+    send('[DONE]');
     res.end();
   }
-}
 
-async function handleNonStreamingResponse(req, res, response, conversationId, inputMessages = []) {
-  const data = await response.json();
-  console.log('📥 You.com response:', JSON.stringify(data, null, 2));
-  
-  const openaiResponse = convertToOpenAIResponse(data, req.body.model || 'advanced');
-  
-  const assistantContent = openaiResponse.choices?.[0]?.message?.content;
-  if (assistantContent && conversationId) {
-    addMessageToConversation(conversationId, 'assistant', assistantContent);
+  res.locals.usage.output_chars = outputTexts.reduce((sum, text) => sum + text.length, 0);
+  res.locals.usage.completion_tokens = completionTokens;
+  if (timedOut || choices.some(choice => choice.failed)) res.locals.usage.status = 'error';
+
+  // Store assistant response (partial replies from timeouts and disconnected clients are marked)
+  const [first] = choices;
+  if (!first.failed) {
+    const metadata = timedOut ? { status: 'timeout' } : interrupted ? { interrupted: true } : null;
+    storeAssistantReply(conversationId, first.content, first.toolCalls, metadata);
   }
   
+  // Log completion
+  logStreamComplete({
+    conversationId,
+    contentLength: first.content.length,
+    messageCount: messageCount + 1,
+    agent: youParams.agent + (timedOut ? ' [timeout]' : interrupted ? ' [interrupted]' : '') + (choices.length > 1 ? ` [n=${choices.length}]` : ''),
+    stream: true,
+    responsePreview: first.content,
+    inputMessages: inputMessages
+  });
+}
+
+/**
+ * Send a finished completion, as JSON or (for stream requests) as a short stream
+ */
+function sendCompletion(req, res, completion, youParams, conversationId, inputMessages = []) {
+  const model = req.body.model || 'advanced';
+  const messages = completion.choices.map(choice => choice.message);
+  res.locals.usage.completion_tokens = completion.usage.completion_tokens;
+  res.locals.usage.output_chars = messages
+    .reduce((sum, message) => sum + (message.content ?? formatToolCallsForPrompt(message.tool_calls || [])).length, 0);
+  const { content: assistantContent, tool_calls: toolCalls } = messages[0];
+  storeAssistantReply(conversationId, assistantContent, toolCalls);
+
   // Log completion
   logStreamComplete({
     conversationId,
     contentLength: assistantContent?.length || 0,
     messageCount: inputMessages.length + 1,
-    agent: req.body.model || 'advanced',
-    stream: false,
-    inputMessages: inputMessages
+    agent: youParams.agent + (messages.length > 1 ? ` [n=${messages.length}]` : ''),
+    stream: !!req.body.stream,
+    responsePreview: assistantContent || '',
+    inputMessages
   });
-  
-  openaiResponse.conversation_id = conversationId;
-  res.json(openaiResponse);
+
+  if (!req.body.stream) {
+    completion.conversation_id = conversationId;
+    return res.json(completion);
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  completion.choices.forEach(({ index, message, finish_reason }) => {
+    const chunk = message.tool_calls ? createToolCallsChunk(model, message.tool_calls, index) : createStreamChunk(model, message.content, null, null, index);
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    res.write(`data: ${JSON.stringify(createStreamChunk(model, null, finish_reason, null, index))}\n\n`);
+  });
+  if (req.body.stream_options?.include_usage) {
+    res.write(`data: ${JSON.stringify(createUsageChunk(model, completion.usage))}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
 }
 
 export default router;
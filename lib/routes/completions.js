@@ -0,0 +1,224 @@
+/**
+ * Completions Route
+ * Legacy OpenAI text completions (/v1/completions): each prompt is sent as the agent
+ * input, with the same model resolution as chat completions; nothing is stored
+ */
+
+import { Router } from 'express';
+import { authenticate, requireScope, requireModelAccess } from '../auth-middleware.js';
+import { rateLimit } from '../rate-limiter.js';
+import { validateBody, createErrorBody } from '../request-validation.js';
+import { COMPLETION_SCHEMA } from '../request-schemas.js';
+import { trackUsage, usageKeyOptions } from '../usage-tracker.js';
+import { mapOpenAIToYouParams, createTextCompletion, createTextCompletionChunk, createUsage, getFinishReason } from '../openai-mapper.js';
+import { OutputLimiter, parseStopSequences, parseMaxTokens } from '../output-limits.js';
+import { countTokens } from '../token-counter.js';
+import { YouApiError, extractText } from '../api-client.js';
+import { getKeyPool } from '../key-pool.js';
+import { parseYouStream, getAnswerIncrement, STREAM_EVENTS } from '../stream-parser.js';
+import { logRequest, logStreamComplete } from '../request-logger.js';
+
+const router = Router();
+const keyPool = getKeyPool();
+
+// Upper bound for prompts x n (parallel upstream runs per request), shared with chat completions
+const MAX_CHOICES = parseInt(process.env.YDC_MAX_CHOICES) || 8;
+
+function invalidRequest(res, message, param, code) {
+  return res.status(400).json({
+    error: { message, type: 'invalid_request_error', param, code }
+  });
+}
+
+function getPrompts(prompt) {
+  if (typeof prompt === 'string') return [prompt];
+  if (Array.isArray(prompt) && prompt.length > 0 && prompt.every(item => typeof item === 'string')) return prompt;
+  return null;
+}
+
+function toYouParams(body, prompt) {
+  return mapOpenAIToYouParams({ ...body, messages: [{ role: 'user', content: prompt }], tools: undefined, response_format: undefined });
+}
+
+const completionsRateLimit = rateLimit({
+  format: 'openai',
+  getAgent: req => toYouParams(req.body, '').agent
+});
+
+router.post('/v1/completions', authenticate, requireScope('chat'), validateBody(COMPLETION_SCHEMA), requireModelAccess('advanced'), completionsRateLimit, trackUsage('/v1/completions'), async (req, res) => {
+  try {
+    if (keyPool.size === 0) {
+      return res.status(500).json({
+        error: {
+          message: 'YDC_API_KEY not configured on server',
+          type: 'server_error',
+          code: 'missing_api_key'
+        }
+      });
+    }
+
+    const prompts = getPrompts(req.body.prompt);
+    if (!prompts) {
+      return invalidRequest(res, 'prompt must be a string or a non-empty array of strings', 'prompt', 'invalid_prompt');
+    }
+
+    const n = req.body.n ?? 1;
+    if (!Number.isInteger(n) || n < 1 || n * prompts.length > MAX_CHOICES) {
+      return invalidRequest(res, `n must be a positive integer and prompts x n at most ${MAX_CHOICES}`, 'n', 'invalid_n');
+    }
+
+    const limits = { stop: [], maxTokens: null };
+    try {
+      limits.stop = parseStopSequences(req.body.stop);
+    } catch (error) {
+      return invalidRequest(res, error.message, 'stop', 'invalid_stop');
+    }
+    try {
+      limits.maxTokens = parseMaxTokens(req.body.max_tokens);
+    } catch (error) {
+      return invalidRequest(res, error.message, 'max_tokens', 'invalid_max_tokens');
+    }
+
+    const model = req.body.model || 'advanced';
+    // Choice i*n + j is the j-th completion of prompt i
+    const runs = prompts.flatMap(prompt => Array.from({ length: n }, () => ({ prompt, youParams: toYouParams(req.body, prompt) })));
+    res.locals.usage.agent = runs[0].youParams.agent;
+    res.locals.usage.input_chars = prompts.reduce((sum, prompt) => sum + prompt.length, 0);
+    res.locals.usage.prompt_tokens = prompts.reduce((sum, prompt) => sum + countTokens(prompt), 0);
+
+    logRequest({
+      endpoint: '/v1/completions (OpenAI)',
+      agent: runs[0].youParams.agent,
+      model,
+      client: req.client.name,
+      stream: !!req.body.stream,
+      messageCount: prompts.length,
+      input: prompts[0],
+      inputMessages: prompts.map(prompt => ({ role: 'user', content: prompt }))
+    });
+
+    const youParams = runs[0].youParams;
+    const timeoutMs = youParams.timeout || (youParams.agent === 'advanced' ? 3000000 : 300000);
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+    const signal = abortController.signal;
+    const callOptions = { timeout: timeoutMs, signal, ...usageKeyOptions(res) };
+
+    if (req.body.stream) {
+      const responses = await keyPool.callAll(runs.map(run => ({ ...run.youParams, stream: true })), callOptions, abortController);
+      return await handleStreamingCompletion(req, res, runs, responses, limits, signal);
+    }
+
+    const responses = await keyPool.callAll(runs.map(run => run.youParams), callOptions, abortController);
+    const choices = await Promise.all(runs.map(async (run, index) => {
+      const response = responses[index];
+      const limited = OutputLimiter.apply(extractText(await response.json()), limits);
+      return {
+        text: req.body.echo ? run.prompt + limited.text : limited.text,
+        completion: limited.text,
+        finishReason: getFinishReason(limited.reason)
+      };
+    }));
+
+    const completionTokens = choices.reduce((sum, choice) => sum + countTokens(choice.completion), 0);
+    res.locals.usage.output_chars = choices.reduce((sum, choice) => sum + choice.completion.length, 0);
+    res.locals.usage.completion_tokens = completionTokens;
+
+    logStreamComplete({
+      contentLength: choices[0].completion.length,
+      messageCount: prompts.length + 1,
+      agent: youParams.agent + (runs.length > 1 ? ` [n=${runs.length}]` : ''),
+      stream: false,
+      responsePreview: choices[0].completion
+    });
+
+    res.json(createTextCompletion(model, choices, createUsage(res.locals.usage.prompt_tokens, completionTokens)));
+
+  } catch (error) {
+    if (error instanceof YouApiError && error.kind === 'aborted') {
+      console.log('⚠️ Client disconnected, upstream request cancelled');
+      return;
+    }
+    console.error('❌ Completions error:', error);
+
+    if (error instanceof YouApiError) {
+      if (error.retryAfter !== null) {
+        res.setHeader('Retry-After', Math.ceil(error.retryAfter / 1000));
+      }
+      return res.status(error.httpStatus).json({
+        error: { message: error.message, type: error.type, code: error.code }
+      });
+    }
+    res.status(500).json({
+      error: { message: error.message, type: 'server_error', code: 'internal_error' }
+    });
+  }
+});
+
+async function handleStreamingCompletion(req, res, runs, responses, limits, signal) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const model = req.body.model || 'advanced';
+  const send = (chunk) => {
+    if (!res.writableEnded) res.write(`data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`);
+  };
+
+  // Chunks of all choices are interleaved on one stream, each tagged with its index
+  const choices = runs.map((run, index) => ({ index, limiter: new OutputLimiter(limits), failed: false }));
+  const streamChoice = async (choice) => {
+    const { body } = responses[choice.index];
+    if (req.body.echo) send(createTextCompletionChunk(model, runs[choice.index].prompt, null, choice.index));
+    let content = '';
+    try {
+      for await (const event of parseYouStream(body)) {
+        if (event.type === STREAM_EVENTS.ERROR) throw new Error(event.message);
+        const text = getAnswerIncrement(event, content);
+        if (!text) continue;
+        content += text;
+        const visible = choice.limiter.push(text);
+        if (visible) send(createTextCompletionChunk(model, visible, null, choice.index));
+        // Limit reached: leaving the loop cancels the upstream stream
+        if (choice.limiter.done) break;
+      }
+      const rest = choice.limiter.finish();
+      if (rest) send(createTextCompletionChunk(model, rest, null, choice.index));
+    } catch (streamError) {
+      if (signal.aborted) return;
+      choice.failed = true;
+      console.error('❌ Streaming error:', streamError);
+      send(createErrorBody('openai', 502, { message: `Streaming error: ${streamError.message}`, type: 'api_error', code: 'stream_error' }));
+    }
+    send(createTextCompletionChunk(model, '', getFinishReason(choice.limiter.reason), choice.index));
+  };
+
+  await Promise.all(choices.map(streamChoice));
+
+  const completionTokens = choices.reduce((sum, choice) => sum + countTokens(choice.limiter.output), 0);
+  res.locals.usage.output_chars = choices.reduce((sum, choice) => sum + choice.limiter.output.length, 0);
+  res.locals.usage.completion_tokens = completionTokens;
+  if (choices.some(choice => choice.failed)) res.locals.usage.status = 'error';
+
+  const interrupted = signal.aborted;
+  if (!interrupted) {
+    if (req.body.stream_options?.include_usage) {
+      send({ ...createTextCompletionChunk(model, '', null), choices: [], usage: createUsage(res.locals.usage.prompt_tokens, completionTokens) });
+    }
+    send('[DONE]');
+    res.end();
+  }
+
+  logStreamComplete({
+    contentLength: choices[0].limiter.output.length,
+    messageCount: runs.length + 1,
+    agent: runs[0].youParams.agent + (interrupted ? ' [interrupted]' : '') + (runs.length > 1 ? ` [n=${runs.length}]` : ''),
+    stream: true,
+    responsePreview: choices[0].limiter.output
+  });
+}
+
+export default router;
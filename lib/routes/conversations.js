@@ -1,9 +1,12 @@
 /**
  * Conversations Route
+ * Clients only see their own conversations; the admin scope sees all of them
  */
 
 import { Router } from 'express';
-import { authenticate } from '../auth-middleware.js';
+import { authenticate, requireScope, getOwnerFilter, canAccessConversation } from '../auth-middleware.js';
+import { validateBody } from '../request-validation.js';
+import { CONVERSATION_SCHEMA } from '../request-schemas.js';
 import { 
   getConversation, 
   createConversation, 
@@ -15,9 +18,20 @@ import {
 
 const router = Router();
 
-// List all conversations
-router.get('/v1/conversations', authenticate, (req, res) => {
-  const conversations = listAllConversations();
+function conversationNotFound(res) {
+  return res.status(404).json({
+    error: {
+      message: 'Conversation not found',
+      type: 'not_found_error',
+      code: 'conversation_not_found'
+    }
+  });
+}
+
+// List the caller's conversations (stored /v1/responses turns are not listed)
+router.get('/v1/conversations', authenticate, requireScope('conversations'), (req, res) => {
+  const conversations = listAllConversations(getOwnerFilter(req.client))
+    .filter(conv => conv.metadata?.object !== 'response');
   
   res.json({
     object: 'list',
@@ -27,16 +41,11 @@ router.get('/v1/conversations', authenticate, (req, res) => {
 });
 
 // Get single conversation
-router.get('/v1/conversations/:id', authenticate, (req, res) => {
+router.get('/v1/conversations/:id', authenticate, requireScope('conversations'), (req, res) => {
   const conv = getConversation(req.params.id);
-  if (!conv) {
-    return res.status(404).json({
-      error: {
-        message: 'Conversation not found',
-        type: 'not_found_error',
-        code: 'conversation_not_found'
-      }
-    });
+  // Other clients' conversations are reported as missing
+  if (!conv || !canAccessConversation(req.client, conv)) {
+    return conversationNotFound(res);
   }
   
   res.json({
@@ -44,18 +53,20 @@ router.get('/v1/conversations/:id', authenticate, (req, res) => {
     messages: conv.messages.map(m => ({
       role: m.role,
       content: m.content,
-      timestamp: new Date(m.timestamp).toISOString()
+      timestamp: new Date(m.timestamp).toISOString(),
+      ...(m.metadata && { metadata: m.metadata })
     })),
     created_at: new Date(conv.createdAt).toISOString(),
     updated_at: new Date(conv.updatedAt).toISOString(),
-    metadata: conv.metadata
+    metadata: conv.metadata,
+    owner: conv.owner
   });
 });
 
 // Create new conversation
-router.post('/v1/conversations', authenticate, (req, res) => {
+router.post('/v1/conversations', authenticate, requireScope('conversations'), validateBody(CONVERSATION_SCHEMA), (req, res) => {
   const { metadata = {}, system_message } = req.body;
-  const conv = createConversation(null, metadata);
+  const conv = createConversation(null, metadata, req.client.id);
   
   if (system_message) {
     addMessageToConversation(conv.id, 'system', system_message);
@@ -69,25 +80,19 @@ router.post('/v1/conversations', authenticate, (req, res) => {
 });
 
 // Delete conversation
-router.delete('/v1/conversations/:id', authenticate, (req, res) => {
+router.delete('/v1/conversations/:id', authenticate, requireScope('conversations'), (req, res) => {
   const conv = getConversation(req.params.id);
-  if (!conv) {
-    return res.status(404).json({
-      error: {
-        message: 'Conversation not found',
-        type: 'not_found_error',
-        code: 'conversation_not_found'
-      }
-    });
+  if (!conv || !canAccessConversation(req.client, conv)) {
+    return conversationNotFound(res);
   }
   
   deleteConversation(req.params.id);
   res.json({ deleted: true, id: req.params.id });
 });
 
-// Clear all conversations
-router.delete('/v1/conversations', authenticate, (req, res) => {
-  const count = clearAllConversations();
+// Clear the caller's conversations (every conversation for admins)
+router.delete('/v1/conversations', authenticate, requireScope('conversations'), (req, res) => {
+  const count = clearAllConversations(getOwnerFilter(req.client));
   res.json({ deleted: true, count });
 });
 
@@ -0,0 +1,120 @@
+/**
+ * Files Route
+ * OpenAI Files API (/v1/files) for batch input files: multipart uploads are stored locally
+ * by the batch store; batch output and error files are listed here too
+ */
+
+import { Router, raw } from 'express';
+import { authenticate, requireScope, getOwnerFilter } from '../auth-middleware.js';
+import { parseMultipart } from '../multipart.js';
+import { getBatchStore } from '../batch-store.js';
+
+const router = Router();
+const batchStore = getBatchStore();
+
+const MAX_FILE_BYTES = (parseInt(process.env.YDC_MAX_FILE_MB) || 100) * 1024 * 1024;
+// Purposes clients may upload; `batch_output` files are created by the batch runner
+const UPLOAD_PURPOSES = ['batch'];
+
+function invalidRequest(res, message, param, code, status = 400) {
+  return res.status(status).json({
+    error: { message, type: 'invalid_request_error', param, code }
+  });
+}
+
+function fileNotFound(res, id) {
+  return res.status(404).json({
+    error: {
+      message: `No such File object: ${id}`,
+      type: 'not_found_error',
+      param: 'id',
+      code: 'file_not_found'
+    }
+  });
+}
+
+/**
+ * OpenAI list envelope with limit / order / after cursors
+ * @param {object[]} items - objects with `id`, oldest first
+ */
+function paginate(items, query, defaultLimit) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 10000);
+  let data = query.order === 'asc' ? items : [...items].reverse();
+  if (query.after) data = data.slice(data.findIndex(item => item.id === query.after) + 1);
+  const page = data.slice(0, limit);
+  return {
+    object: 'list',
+    data: page,
+    first_id: page[0]?.id || null,
+    last_id: page[page.length - 1]?.id || null,
+    has_more: data.length > limit
+  };
+}
+
+function getAccessibleFile(client, id) {
+  const entry = batchStore.getFile(id);
+  const owner = getOwnerFilter(client);
+  return entry && (owner === null || entry.owner === owner) ? entry.file : null;
+}
+
+// Buffer multipart bodies up to MAX_FILE_BYTES, answering oversized uploads in the API error format
+const uploadBody = (req, res, next) => raw({ type: 'multipart/form-data', limit: MAX_FILE_BYTES })(req, res, (error) => {
+  if (error) {
+    return invalidRequest(res, error.type === 'entity.too.large' ? `File exceeds the ${MAX_FILE_BYTES} byte limit` : error.message,
+      'file', error.type === 'entity.too.large' ? 'file_too_large' : 'invalid_upload', error.status || 400);
+  }
+  next();
+});
+
+router.post('/v1/files', authenticate, requireScope('chat'), uploadBody, (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    return invalidRequest(res, 'Upload the file as multipart/form-data with `file` and `purpose` fields', 'file', 'invalid_upload');
+  }
+
+  let form;
+  try {
+    form = parseMultipart(req.body, req.headers['content-type']);
+  } catch (error) {
+    return invalidRequest(res, error.message, 'file', 'invalid_upload');
+  }
+  const { purpose } = form.fields;
+  const upload = form.files.file;
+  if (!UPLOAD_PURPOSES.includes(purpose)) {
+    return invalidRequest(res, `purpose must be one of: ${UPLOAD_PURPOSES.join(', ')}`, 'purpose', 'invalid_purpose');
+  }
+  if (!upload) return invalidRequest(res, 'Missing `file` field', 'file', 'missing_file');
+
+  const file = batchStore.createFile({ filename: upload.filename || 'upload.jsonl', purpose, data: upload.data, owner: req.client.id });
+  console.log(`📄 File ${file.id} uploaded (${file.filename}, ${file.bytes} bytes)`);
+  res.json(file);
+});
+
+router.get('/v1/files', authenticate, requireScope('chat'), (req, res) => {
+  const files = batchStore.listFiles({ owner: getOwnerFilter(req.client), purpose: req.query.purpose || null }).map(entry => entry.file);
+  res.json(paginate(files, req.query, 10000));
+});
+
+router.get('/v1/files/:id', authenticate, requireScope('chat'), (req, res) => {
+  const file = getAccessibleFile(req.client, req.params.id);
+  if (!file) return fileNotFound(res, req.params.id);
+  res.json(file);
+});
+
+router.get('/v1/files/:id/content', authenticate, requireScope('chat'), (req, res) => {
+  const file = getAccessibleFile(req.client, req.params.id);
+  const content = file && batchStore.getFileContent(file.id);
+  if (!content) return fileNotFound(res, req.params.id);
+  // attachment() encodes non-ASCII names (RFC 5987) and escapes quotes
+  res.attachment(file.filename);
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.send(content);
+});
+
+router.delete('/v1/files/:id', authenticate, requireScope('chat'), (req, res) => {
+  const file = getAccessibleFile(req.client, req.params.id);
+  if (!file) return fileNotFound(res, req.params.id);
+  batchStore.deleteFile(file.id);
+  res.json({ id: file.id, object: 'file', deleted: true });
+});
+
+export default router;
@@ -5,18 +5,36 @@
 import { Router } from 'express';
 import { getConversationCount, storeConfig } from '../conversation-store.js';
 import { authConfig } from '../auth-middleware.js';
+import { getKeyPool } from '../key-pool.js';
+import { rateLimitConfig } from '../rate-limiter.js';
+import { getUsageStore, usageConfig } from '../usage-store.js';
 
 const router = Router();
-const API_KEY = process.env.YDC_API_KEY;
+const keyPool = getKeyPool();
+const usageStore = getUsageStore();
 
 router.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    ydc_api_key_configured: !!API_KEY,
+    ydc_api_key_configured: keyPool.size > 0,
+    api_keys: keyPool.getSummary(),
     auth: {
       token_auth_enabled: authConfig.REQUIRE_TOKEN_AUTH,
-      allowed_tokens_count: authConfig.ACCESS_TOKENS_COUNT
+      allowed_tokens_count: authConfig.ACCESS_TOKENS_COUNT,
+      admin_enabled: authConfig.ADMIN_ENABLED
+    },
+    rate_limits: {
+      rpm: rateLimitConfig.rpm || null,
+      concurrent_streams: rateLimitConfig.concurrent_streams || null,
+      concurrent_advanced: rateLimitConfig.concurrent_advanced || null,
+      tracked_clients: rateLimitConfig.tracked_clients
+    },
+    usage: {
+      endpoint: '/v1/usage',
+      csv: '/v1/usage?format=csv',
+      db_path: usageStore.persistent ? usageConfig.DB_PATH : null,
+      retention_days: usageConfig.RETENTION_DAYS
     },
     conversations: {
       store_type: storeConfig.STORE_TYPE,
@@ -0,0 +1,101 @@
+/**
+ * API Keys Route
+ * Key status, usage and runtime key management (admin only)
+ */
+
+import { Router } from 'express';
+import { requireAdmin } from '../auth-middleware.js';
+import { getKeyPool } from '../key-pool.js';
+import { validateBody } from '../request-validation.js';
+import { KEY_SCHEMA, KEY_MODE_SCHEMA, KEY_DISABLE_SCHEMA } from '../request-schemas.js';
+
+const router = Router();
+const keyPool = getKeyPool();
+
+function badRequest(res, message, code) {
+  return res.status(400).json({ error: { message, type: 'invalid_request_error', code } });
+}
+
+// Resolve :id (pool index or key id) or answer 404
+function findKeyOr404(req, res) {
+  const key = keyPool.findKey(req.params.id);
+  if (!key) {
+    res.status(404).json({
+      error: {
+        message: `API key not found: ${req.params.id}`,
+        type: 'not_found_error',
+        code: 'key_not_found'
+      }
+    });
+  }
+  return key;
+}
+
+function keyStatus(key) {
+  return keyPool.getStatus().keys.find(entry => entry.index === keyPool.keys.indexOf(key));
+}
+
+// Key states, budgets and statistics
+router.get('/v1/keys', requireAdmin, (req, res) => {
+  res.json(keyPool.getStatus());
+});
+
+// Usage report by key, agent and day
+router.get('/v1/keys/usage', requireAdmin, (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  if (days < 1 || days > 366) {
+    return badRequest(res, 'days must be between 1 and 366', 'invalid_days');
+  }
+
+  res.json(keyPool.getUsageReport(days));
+});
+
+// Add a key, optionally with its own budget
+router.post('/v1/keys', requireAdmin, validateBody(KEY_SCHEMA), (req, res) => {
+  const { key, daily_limit = null, monthly_limit = null } = req.body || {};
+  const budget = daily_limit !== null || monthly_limit !== null ? { daily: daily_limit, monthly: monthly_limit } : null;
+
+  try {
+    const added = keyPool.addKey(key, budget);
+    res.status(201).json(keyStatus(added));
+  } catch (error) {
+    badRequest(res, error.message, 'invalid_key');
+  }
+});
+
+// Change the rotation mode
+router.put('/v1/keys/mode', requireAdmin, validateBody(KEY_MODE_SCHEMA), (req, res) => {
+  try {
+    keyPool.setMode(req.body?.mode);
+    res.json({ key_mode: keyPool.mode });
+  } catch (error) {
+    badRequest(res, error.message, 'invalid_key_mode');
+  }
+});
+
+// Disable a key until it is re-enabled
+router.post('/v1/keys/:id/disable', requireAdmin, validateBody(KEY_DISABLE_SCHEMA), (req, res) => {
+  const key = findKeyOr404(req, res);
+  if (!key) return;
+  keyPool.disableKey(key, req.body?.reason);
+  res.json(keyStatus(key));
+});
+
+// Re-enable a disabled or quarantined key
+router.post('/v1/keys/:id/enable', requireAdmin, (req, res) => {
+  const key = findKeyOr404(req, res);
+  if (!key) return;
+  keyPool.enableKey(key);
+  res.json(keyStatus(key));
+});
+
+// Remove a key from the pool
+router.delete('/v1/keys/:id', requireAdmin, (req, res) => {
+  const key = findKeyOr404(req, res);
+  if (!key) return;
+  const { key_id } = keyStatus(key);
+  keyPool.removeKey(key);
+  res.json({ key_id, deleted: true });
+});
+
+export default router;
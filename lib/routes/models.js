@@ -3,7 +3,7 @@
  */
 
 import { Router } from 'express';
-import { authenticate } from '../auth-middleware.js';
+import { authenticate, isModelAllowed } from '../auth-middleware.js';
 import { listAdvancedVersions, getVersionInfo, getDefaultAdvancedVersion } from '../advanced-versions.js';
 
 const router = Router();
@@ -91,7 +91,7 @@ router.get('/v1/models', authenticate, (req, res) => {
 
   res.json({
     object: 'list',
-    data: [...baseModels, ...customModels, ...advancedVersionModels]
+    data: [...baseModels, ...customModels, ...advancedVersionModels].filter(model => isModelAllowed(req.client, model.id))
   });
 });
 
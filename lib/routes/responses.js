@@ -0,0 +1,453 @@
+/**
+ * Responses Route
+ * OpenAI Responses API (/v1/responses) on top of the chat completion mappers. Each stored
+ * response is a conversation whose id is the response id, holding only that turn (input
+ * and answer) plus a link to its previous_response_id; the history of a response is its
+ * chain of turns, so branching from an older response works. `store: false` skips persistence.
+ */
+
+import { Router } from 'express';
+import { authenticate, requireScope, requireModelAccess, canAccessConversation } from '../auth-middleware.js';
+import { rateLimit } from '../rate-limiter.js';
+import { validateBody } from '../request-validation.js';
+import { RESPONSE_SCHEMA } from '../request-schemas.js';
+import { trackUsage, usageKeyOptions } from '../usage-tracker.js';
+import { mapOpenAIToYouParams, convertToOpenAIResponse } from '../openai-mapper.js';
+import {
+  generateResponseId,
+  mapResponsesInput,
+  toChatTools,
+  toChatToolChoice,
+  toResponseFormat,
+  toResponseAnnotations,
+  createMessageItem,
+  createFunctionCallItems,
+  createResponseObject,
+  createResponseUsage,
+  createResponseEventWriter
+} from '../responses-mapper.js';
+import { getFunctionTools, parseToolCalls, formatToolCallsForPrompt } from '../tool-calls.js';
+import { parseResponseFormat, generateStructuredOutput, StructuredOutputError } from '../structured-output.js';
+import { parseMaxTokens, STOP_REASONS } from '../output-limits.js';
+import { readAnswerStream } from '../chat-completion.js';
+import { ContentPartError } from '../content-parts.js';
+import { countTokens } from '../token-counter.js';
+import { YouApiError, extractText } from '../api-client.js';
+import { getKeyPool } from '../key-pool.js';
+import { toOpenAIAnnotations } from '../sources.js';
+import {
+  getConversation,
+  createConversation,
+  addMessageToConversation,
+  deleteConversation,
+  storeConfig
+} from '../conversation-store.js';
+import { logRequest, logStreamComplete } from '../request-logger.js';
+
+const router = Router();
+const keyPool = getKeyPool();
+
+function invalidRequest(res, message, param, code) {
+  return res.status(400).json({
+    error: { message, type: 'invalid_request_error', param, code }
+  });
+}
+
+function responseNotFound(res, id, param = null) {
+  return res.status(404).json({
+    error: {
+      message: `No response found with id '${id}'`,
+      type: 'not_found_error',
+      param,
+      code: 'response_not_found'
+    }
+  });
+}
+
+/**
+ * Stored response (a conversation created by this route) the client may access
+ */
+function getStoredResponse(client, id) {
+  const conv = getConversation(id);
+  if (!conv || conv.metadata?.object !== 'response' || !canAccessConversation(client, conv)) return null;
+  return conv;
+}
+
+/**
+ * Chat messages from a stored response conversation
+ */
+function toChatMessages(conv) {
+  return conv.messages.map(m => ({
+    role: m.role,
+    content: m.content,
+    ...(m.metadata?.tool_calls && { content: null, tool_calls: m.metadata.tool_calls }),
+    ...(m.metadata?.tool_call_id && { tool_call_id: m.metadata.tool_call_id })
+  }));
+}
+
+/**
+ * Conversation history up to and including a stored response: the turns of its
+ * previous_response_id chain, oldest first, capped like a conversation's messages
+ * (a response that expired or was deleted ends the chain)
+ */
+function getResponseHistory(client, conv) {
+  const turns = [];
+  let count = 0;
+  for (let current = conv; current && count < storeConfig.MAX_MESSAGES_PER_CONVERSATION;) {
+    const messages = toChatMessages(current);
+    turns.unshift(messages);
+    count += messages.length;
+    const parentId = current.metadata.previous_response_id;
+    current = parentId ? getStoredResponse(client, parentId) : null;
+  }
+  return turns.flat().slice(-storeConfig.MAX_MESSAGES_PER_CONVERSATION);
+}
+
+function storeChatMessage(conversationId, message) {
+  if (message.tool_calls) {
+    addMessageToConversation(conversationId, 'assistant', formatToolCallsForPrompt(message.tool_calls), { tool_calls: message.tool_calls });
+  } else if (message.role === 'tool') {
+    addMessageToConversation(conversationId, 'tool', message.content ?? '', { tool_call_id: message.tool_call_id });
+  } else {
+    addMessageToConversation(conversationId, message.role, message.content ?? '');
+  }
+}
+
+/**
+ * Output items and status for a finished answer
+ */
+function buildOutput({ text, toolCalls, annotations, limitReason, functionCallItems }, messageItem = null) {
+  if (toolCalls) return { output: functionCallItems || createFunctionCallItems(toolCalls), status: 'completed', incompleteDetails: null };
+  const item = messageItem || createMessageItem(text, annotations);
+  item.content[0].text = text;
+  item.content[0].annotations = annotations;
+  const incomplete = limitReason === STOP_REASONS.MAX_TOKENS;
+  item.status = incomplete ? 'incomplete' : 'completed';
+  return {
+    output: [item],
+    status: incomplete ? 'incomplete' : 'completed',
+    incompleteDetails: incomplete ? { reason: 'max_output_tokens' } : null
+  };
+}
+
+const responsesRateLimit = rateLimit({
+  format: 'openai',
+  getAgent: req => mapOpenAIToYouParams({ model: req.body.model, messages: [], temperature: req.body.temperature }).agent
+});
+
+router.post('/v1/responses', authenticate, requireScope('chat'), validateBody(RESPONSE_SCHEMA), requireModelAccess('advanced'), responsesRateLimit, trackUsage('/v1/responses'), async (req, res) => {
+  const body = req.body;
+  try {
+    if (keyPool.size === 0) {
+      return res.status(500).json({
+        error: {
+          message: 'YDC_API_KEY not configured on server',
+          type: 'server_error',
+          code: 'missing_api_key'
+        }
+      });
+    }
+
+    let inputMessages;
+    try {
+      inputMessages = mapResponsesInput(body.input);
+    } catch (error) {
+      if (!(error instanceof ContentPartError)) throw error;
+      return invalidRequest(res, error.message, error.param, 'unsupported_content');
+    }
+
+    let responseFormat;
+    try {
+      responseFormat = parseResponseFormat(toResponseFormat(body.text));
+    } catch (error) {
+      return invalidRequest(res, error.message, 'text.format', 'invalid_response_format');
+    }
+
+    const limits = { stop: [], maxTokens: null };
+    try {
+      limits.maxTokens = parseMaxTokens(body.max_output_tokens, 'max_output_tokens');
+    } catch (error) {
+      return invalidRequest(res, error.message, 'max_output_tokens', 'invalid_max_tokens');
+    }
+    // Cutting a validated JSON answer short would break it
+    if (responseFormat && limits.maxTokens !== null) {
+      return invalidRequest(res, 'max_output_tokens cannot be combined with text.format', 'max_output_tokens', 'unsupported_parameter');
+    }
+
+    // previous_response_id continues from the chain of turns ending with that response
+    let history = [];
+    if (body.previous_response_id) {
+      const previous = getStoredResponse(req.client, body.previous_response_id);
+      if (!previous) return responseNotFound(res, body.previous_response_id, 'previous_response_id');
+      history = getResponseHistory(req.client, previous);
+    }
+
+    // Instructions only apply to this response and are not carried over
+    const messages = [...history, ...inputMessages];
+    const chatRequest = {
+      model: body.model || 'advanced',
+      messages: body.instructions ? [{ role: 'system', content: body.instructions }, ...messages] : messages,
+      temperature: body.temperature,
+      stream: !!body.stream,
+      tools: toChatTools(body.tools),
+      tool_choice: toChatToolChoice(body.tool_choice),
+      parallel_tool_calls: body.parallel_tool_calls,
+      response_format: toResponseFormat(body.text)
+    };
+    const youParams = mapOpenAIToYouParams(chatRequest);
+    const functionTools = getFunctionTools(chatRequest.tools, chatRequest.tool_choice).tools;
+    res.locals.usage.agent = youParams.agent;
+    res.locals.usage.input_chars = youParams.input?.length || 0;
+    res.locals.usage.prompt_tokens = countTokens(youParams.input);
+
+    const responseId = generateResponseId();
+    logRequest({
+      endpoint: '/v1/responses (OpenAI)',
+      agent: youParams.agent,
+      model: chatRequest.model,
+      client: req.client.name,
+      stream: chatRequest.stream,
+      conversationId: responseId,
+      messageCount: chatRequest.messages.length,
+      input: inputMessages.filter(m => m.role === 'user').pop()?.content || '',
+      inputMessages: chatRequest.messages
+    });
+
+    const timeoutMs = youParams.timeout || (youParams.agent === 'advanced' ? 3000000 : 300000);
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+    const signal = abortController.signal;
+    const callOptions = { timeout: timeoutMs, signal, ...usageKeyOptions(res) };
+
+    const context = { body, responseId, createdAt: Math.floor(Date.now() / 1000), youParams, functionTools, limits, callOptions, signal };
+    let result;
+    if (responseFormat) {
+      result = await runStructured(context, responseFormat);
+    } else if (chatRequest.stream) {
+      const response = await keyPool.call({ ...youParams, stream: true }, callOptions);
+      result = await streamResponse(req, res, response, context);
+    } else {
+      const response = await keyPool.call(youParams, callOptions);
+      const chat = convertToOpenAIResponse(await response.json(), chatRequest.model, { functionTools, limits });
+      const message = chat.choices[0].message;
+      result = {
+        text: message.content ?? '',
+        toolCalls: message.tool_calls || null,
+        annotations: toResponseAnnotations(message.annotations),
+        limitReason: chat.choices[0].finish_reason === 'length' ? STOP_REASONS.MAX_TOKENS : null
+      };
+    }
+    if (result.interrupted || result.failed) return;
+
+    const outputText = result.toolCalls ? formatToolCallsForPrompt(result.toolCalls) : result.text;
+    res.locals.usage.output_chars = outputText.length;
+    res.locals.usage.completion_tokens = countTokens(outputText);
+
+    const { output, status, incompleteDetails } = buildOutput(result, result.messageItem);
+    const responseObject = createResponseObject(body, {
+      id: responseId,
+      createdAt: context.createdAt,
+      status,
+      output,
+      incompleteDetails,
+      usage: createResponseUsage(res.locals.usage.prompt_tokens, res.locals.usage.completion_tokens)
+    });
+
+    if (body.store !== false) {
+      createConversation(responseId, {
+        object: 'response',
+        response: responseObject,
+        previous_response_id: body.previous_response_id || null
+      }, req.client.id);
+      inputMessages.forEach(message => storeChatMessage(responseId, message));
+      storeChatMessage(responseId, result.toolCalls ? { role: 'assistant', tool_calls: result.toolCalls } : { role: 'assistant', content: result.text });
+    }
+
+    logStreamComplete({
+      conversationId: responseId,
+      contentLength: outputText.length,
+      messageCount: chatRequest.messages.length + 1,
+      agent: youParams.agent,
+      stream: chatRequest.stream,
+      responsePreview: outputText,
+      inputMessages: chatRequest.messages
+    });
+
+    if (!chatRequest.stream) return res.json(responseObject);
+
+    const send = result.send || startEventStream(res, context);
+    if (!result.streamed) emitOutputItems(send, output);
+    send(status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response: responseObject });
+    res.end();
+
+  } catch (error) {
+    if (error instanceof YouApiError && error.kind === 'aborted') {
+      console.log('⚠️ Client disconnected, upstream request cancelled');
+      return;
+    }
+    console.error('❌ Responses error:', error);
+
+    const errorBody = error instanceof StructuredOutputError
+      ? { status: 502, error: { message: error.message, type: 'api_error', param: 'text.format', code: 'response_format_validation_failed', validation_errors: error.errors } }
+      : error instanceof YouApiError
+        ? { status: error.httpStatus, error: { message: error.message, type: error.type, code: error.code } }
+        : { status: 500, error: { message: error.message, type: 'server_error', code: 'internal_error' } };
+
+    if (res.headersSent) {
+      res.locals.usage.status = 'error';
+      createResponseEventWriter(res)('error', { code: errorBody.error.code, message: errorBody.error.message, param: errorBody.error.param ?? null });
+      return res.end();
+    }
+    if (error instanceof YouApiError && error.retryAfter !== null) {
+      res.setHeader('Retry-After', Math.ceil(error.retryAfter / 1000));
+    }
+    res.status(errorBody.status).json({ error: errorBody.error });
+  }
+});
+
+function startEventStream(res, context) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const send = createResponseEventWriter(res);
+  const response = createResponseObject(context.body, { id: context.responseId, createdAt: context.createdAt, status: 'in_progress' });
+  send('response.created', { response });
+  send('response.in_progress', { response });
+  return send;
+}
+
+function emitFunctionCallItems(send, items, firstIndex = 0) {
+  items.forEach((item, i) => {
+    const outputIndex = firstIndex + i;
+    send('response.output_item.added', { output_index: outputIndex, item: { ...item, arguments: '', status: 'in_progress' } });
+    send('response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: item.arguments });
+    send('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+    send('response.output_item.done', { output_index: outputIndex, item });
+  });
+}
+
+function startMessageItem(send, item) {
+  send('response.output_item.added', { output_index: 0, item: { ...item, status: 'in_progress', content: [] } });
+  send('response.content_part.added', { item_id: item.id, output_index: 0, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+}
+
+function finishMessageItem(send, item) {
+  const [part] = item.content;
+  send('response.output_text.done', { item_id: item.id, output_index: 0, content_index: 0, text: part.text });
+  send('response.content_part.done', { item_id: item.id, output_index: 0, content_index: 0, part });
+  send('response.output_item.done', { output_index: 0, item });
+}
+
+/**
+ * Events for output produced in one piece (structured output)
+ */
+function emitOutputItems(send, output) {
+  if (output[0]?.type !== 'message') return emitFunctionCallItems(send, output);
+  const [item] = output;
+  startMessageItem(send, item);
+  send('response.output_text.delta', { item_id: item.id, output_index: 0, content_index: 0, delta: item.content[0].text });
+  finishMessageItem(send, item);
+}
+
+/**
+ * Stream one upstream run as Responses events; output items are closed here and the
+ * caller sends the final response.completed / response.incomplete event
+ */
+async function streamResponse(req, res, response, context) {
+  const { functionTools, limits, signal } = context;
+  const send = startEventStream(res, context);
+  let messageItem = null;
+
+  const emitText = (text) => {
+    if (!messageItem) {
+      messageItem = createMessageItem('', []);
+      startMessageItem(send, messageItem);
+    }
+    send('response.output_text.delta', { item_id: messageItem.id, output_index: 0, content_index: 0, delta: text });
+  };
+
+  let answer;
+  try {
+    answer = await readAnswerStream(response, { functionTools, limits, onText: emitText });
+  } catch (error) {
+    if (signal.aborted) return { interrupted: true };
+    console.error('❌ Streaming error:', error);
+    res.locals.usage.status = 'error';
+    send('response.failed', {
+      response: createResponseObject(context.body, {
+        id: context.responseId,
+        createdAt: context.createdAt,
+        status: 'failed',
+        error: { code: 'server_error', message: `Streaming error: ${error.message}` }
+      })
+    });
+    res.end();
+    return { failed: true };
+  }
+
+  const { text, toolCalls, sources, limitReason } = answer;
+  if (toolCalls) {
+    const functionCallItems = createFunctionCallItems(toolCalls);
+    emitFunctionCallItems(send, functionCallItems);
+    return { text: '', toolCalls, functionCallItems, annotations: [], limitReason: null, send, streamed: true };
+  }
+
+  const annotations = sources.length ? toResponseAnnotations(toOpenAIAnnotations(text, sources)) : [];
+  if (!messageItem) {
+    messageItem = createMessageItem('', []);
+    startMessageItem(send, messageItem);
+  }
+  const result = { text, toolCalls: null, annotations, limitReason, messageItem, send, streamed: true };
+  buildOutput(result, messageItem);
+  finishMessageItem(send, messageItem);
+  return result;
+}
+
+/**
+ * text.format requests: the answer is validated (and repaired) before anything is sent
+ */
+async function runStructured(context, responseFormat) {
+  const { youParams, functionTools, callOptions } = context;
+  let answer = '';
+  const result = await generateStructuredOutput({
+    input: youParams.input,
+    format: responseFormat,
+    accept: text => !!parseToolCalls(text, functionTools),
+    run: async input => {
+      const response = await keyPool.call({ ...youParams, input, stream: false }, callOptions);
+      answer = extractText(await response.json());
+      return answer;
+    }
+  });
+  console.log(`📥 Structured output ready after ${result.attempts} attempt(s)`);
+
+  const toolCalls = result.value === undefined ? parseToolCalls(answer, functionTools) : null;
+  return {
+    text: toolCalls ? '' : result.text,
+    toolCalls,
+    annotations: [],
+    limitReason: null,
+    streamed: false
+  };
+}
+
+// Retrieve a stored response
+router.get('/v1/responses/:id', authenticate, requireScope('chat'), (req, res) => {
+  const conv = getStoredResponse(req.client, req.params.id);
+  if (!conv) return responseNotFound(res, req.params.id);
+  res.json(conv.metadata.response);
+});
+
+// Delete a stored response
+router.delete('/v1/responses/:id', authenticate, requireScope('chat'), (req, res) => {
+  const conv = getStoredResponse(req.client, req.params.id);
+  if (!conv) return responseNotFound(res, req.params.id);
+  deleteConversation(conv.id);
+  res.json({ id: conv.id, object: 'response', deleted: true });
+});
+
+export default router;
@@ -0,0 +1,78 @@
+/**
+ * Usage Route
+ * Completions served by this server, grouped by day, client and model (JSON or CSV);
+ * clients only see their own usage, the admin scope sees every client
+ */
+
+import { Router } from 'express';
+import { authenticate, getOwnerFilter } from '../auth-middleware.js';
+import { getUsageStore, USAGE_GROUPS } from '../usage-store.js';
+
+const router = Router();
+const usageStore = getUsageStore();
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(res, message, code) {
+  return res.status(400).json({ error: { message, type: 'invalid_request_error', code } });
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvValue).join(','))
+    .join('\n') + '\n';
+}
+
+// GET /v1/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&group_by=day,client,model&client=NAME&format=csv
+router.get('/v1/usage', authenticate, (req, res) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = req.query.to || today;
+  const from = req.query.from || new Date(Date.parse(to) - 29 * DAY).toISOString().slice(0, 10);
+  if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || from > to) {
+    return badRequest(res, 'from and to must be days (YYYY-MM-DD) with from <= to', 'invalid_date_range');
+  }
+
+  const groupBy = req.query.group_by === undefined
+    ? ['day', 'client', 'model']
+    : String(req.query.group_by).split(',').map(group => group.trim()).filter(group => group);
+  const unknown = groupBy.filter(group => !USAGE_GROUPS.includes(group));
+  if (unknown.length) {
+    return badRequest(res, `Unknown group_by value: ${unknown.join(', ')} (use ${USAGE_GROUPS.join(', ')})`, 'invalid_group_by');
+  }
+
+  // Admins may narrow to one client; everyone else is limited to their own rows
+  const owner = getOwnerFilter(req.client);
+  const client = owner !== null ? owner : req.query.client || null;
+
+  const data = usageStore.summarize({ from, to, groupBy, client });
+  const [totals] = usageStore.summarize({ from, to, groupBy: [], client });
+
+  if (req.query.format === 'csv') {
+    const columns = [...groupBy, 'requests', 'errors', 'stream_requests', 'input_chars', 'output_chars', 'prompt_tokens', 'completion_tokens', 'avg_latency_ms'];
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="usage-${from}-${to}.csv"`);
+    return res.send(toCsv(columns, data));
+  }
+  if (req.query.format !== undefined && req.query.format !== 'json') {
+    return badRequest(res, 'format must be json or csv', 'invalid_format');
+  }
+
+  res.json({
+    object: 'usage',
+    from,
+    to,
+    group_by: groupBy,
+    client,
+    persistent: usageStore.persistent,
+    totals: totals || { requests: 0, errors: 0, stream_requests: 0, input_chars: 0, output_chars: 0, prompt_tokens: 0, completion_tokens: 0, avg_latency_ms: null },
+    data
+  });
+});
+
+export default router;
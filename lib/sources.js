@@ -0,0 +1,83 @@
+/**
+ * Web Sources Module
+ * Extracts search result/source items from You.com output and formats them as
+ * OpenAI annotations and Anthropic citations (Web APIs only, shared with the worker)
+ */
+
+// Output item types that carry sources, e.g. web_search.results, message.sources
+const SOURCE_ITEM_PATTERN = /search|source|citation/;
+
+function normalizeSource(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const url = entry.url || entry.citation_uri || entry.link;
+  if (!url) return null;
+  return {
+    url,
+    title: entry.title || entry.name || url,
+    snippet: entry.snippet || entry.description || (Array.isArray(entry.snippets) ? entry.snippets[0] : '') || ''
+  };
+}
+
+/**
+ * Get sources from a single output item (sync output[] entry or streamed item)
+ */
+export function extractSourcesFromItem(item) {
+  if (!item || !SOURCE_ITEM_PATTERN.test(item.type || '')) return [];
+  const entries = [item.content, item.full, item.results, item.sources].find(Array.isArray) || [];
+  return entries.map(normalizeSource).filter(Boolean);
+}
+
+/**
+ * Add sources to a list, skipping URLs already present (mutates and returns target)
+ */
+export function mergeSources(target, sources) {
+  for (const source of sources) {
+    if (!target.some(s => s.url === source.url)) target.push(source);
+  }
+  return target;
+}
+
+/**
+ * Get deduplicated sources from a You.com response
+ */
+export function extractSources(youResponse) {
+  if (!youResponse?.output || !Array.isArray(youResponse.output)) return [];
+  return youResponse.output.reduce((sources, item) => mergeSources(sources, extractSourcesFromItem(item)), []);
+}
+
+/**
+ * Build OpenAI url_citation annotations
+ * A citation spans its [n] marker or the URL itself when found in the text,
+ * otherwise the whole answer
+ */
+export function toOpenAIAnnotations(content, sources) {
+  return sources.map((source, index) => {
+    const marker = `[${index + 1}]`;
+    let start = content.indexOf(marker);
+    let end = start + marker.length;
+    if (start === -1) {
+      start = content.indexOf(source.url);
+      end = start + source.url.length;
+    }
+    if (start === -1) {
+      start = 0;
+      end = content.length;
+    }
+    return {
+      type: 'url_citation',
+      url_citation: { url: source.url, title: source.title, start_index: start, end_index: end }
+    };
+  });
+}
+
+/**
+ * Build Anthropic web search citations for a text block
+ */
+export function toAnthropicCitations(sources) {
+  return sources.map(source => ({
+    type: 'web_search_result_location',
+    url: source.url,
+    title: source.title,
+    cited_text: source.snippet.substring(0, 150)
+  }));
+}
@@ -0,0 +1,168 @@
+/**
+ * You.com SSE Stream Parser Module
+ * Turns a You.com runs stream into typed events; shared by the Node routes and the
+ * Cloudflare worker, so it only uses Web APIs (ReadableStream, TextDecoder)
+ *
+ * Yielded events:
+ *   { type: 'answer_delta', text, raw }              - answer text to append
+ *   { type: 'progress', stage, item, sources, raw }  - search/tool/other workflow progress
+ *   { type: 'output', output, sources, raw }         - full output[] payload (non-delta format)
+ *   { type: 'error', message, raw }                  - upstream reported an error
+ *   { type: 'done', raw }                            - end of run (always yielded exactly once)
+ */
+
+import { extractSources, extractSourcesFromItem } from './sources.js';
+
+export const STREAM_EVENTS = {
+  ANSWER_DELTA: 'answer_delta',
+  PROGRESS: 'progress',
+  OUTPUT: 'output',
+  ERROR: 'error',
+  DONE: 'done'
+};
+
+const DONE_TYPES = ['response.done', 'response.completed'];
+
+// Map one decoded upstream payload to a typed event (or null to skip it)
+function toTypedEvent(eventName, data) {
+  const type = data.type || eventName;
+
+  if (type === 'response.output_text.delta' && data.response?.type === 'message.answer') {
+    return data.response.delta ? { type: STREAM_EVENTS.ANSWER_DELTA, text: data.response.delta, raw: data } : null;
+  }
+  if (type === 'error' || data.error) {
+    const message = data.error?.message || data.error || data.message || 'Upstream stream error';
+    return { type: STREAM_EVENTS.ERROR, message: String(message), raw: data };
+  }
+
+  const output = Array.isArray(data.output) ? data.output : data.response?.output;
+  if (Array.isArray(output)) {
+    return { type: STREAM_EVENTS.OUTPUT, output, sources: extractSources({ output }), raw: data };
+  }
+  if (DONE_TYPES.includes(type)) {
+    return { type: STREAM_EVENTS.DONE, raw: data };
+  }
+  const item = data.response ?? null;
+  return { type: STREAM_EVENTS.PROGRESS, stage: type || 'unknown', item, sources: extractSourcesFromItem(item), raw: data };
+}
+
+// Decode the data lines of one SSE event; falls back to per-line JSON when an
+// upstream sends consecutive `data:` lines without blank-line separators
+function decodeData(dataLines) {
+  const joined = dataLines.join('\n');
+  if (joined === '[DONE]') return [{ done: true }];
+  try {
+    return [JSON.parse(joined)];
+  } catch (error) {
+    if (dataLines.length < 2) return [];
+    return dataLines.flatMap(line => {
+      if (line === '[DONE]') return [{ done: true }];
+      try {
+        return [JSON.parse(line)];
+      } catch (lineError) {
+        return [];
+      }
+    });
+  }
+}
+
+/**
+ * Parse a You.com SSE response body into typed events
+ * Breaking out of the loop early cancels the underlying body
+ * @param {ReadableStream<Uint8Array>} body - fetch response body
+ */
+export async function* parseYouStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+  let doneSent = false;
+  let finished = false;
+
+  function* dispatch() {
+    if (dataLines.length === 0) {
+      eventName = '';
+      return;
+    }
+    for (const data of decodeData(dataLines)) {
+      const event = data.done ? { type: STREAM_EVENTS.DONE, raw: null } : toTypedEvent(eventName, data);
+      if (!event || doneSent) continue;
+      if (event.type === STREAM_EVENTS.DONE) doneSent = true;
+      yield event;
+    }
+    eventName = '';
+    dataLines = [];
+  }
+
+  function* processLine(rawLine) {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    if (line === '') {
+      yield* dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return; // comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+  }
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        yield* processLine(line);
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer) yield* processLine(buffer);
+    yield* dispatch();
+
+    if (!doneSent) {
+      doneSent = true;
+      yield { type: STREAM_EVENTS.DONE, raw: null };
+    }
+  } finally {
+    // Consumer stopped early (break/return/throw): cancel the upstream body
+    if (finished) reader.releaseLock();
+    else await reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Get answer text from an output[] payload
+ */
+export function getAnswerFromOutput(output) {
+  return output
+    .filter(item => item.type === 'message.answer' && item.text)
+    .map(item => item.text)
+    .join('\n\n');
+}
+
+/**
+ * Get the answer text an event adds to what has already been streamed
+ * Deltas are appended as-is; full output[] payloads only contribute their unseen tail
+ */
+export function getAnswerIncrement(event, streamedText) {
+  if (event.type === STREAM_EVENTS.ANSWER_DELTA) return event.text;
+  if (event.type === STREAM_EVENTS.OUTPUT) {
+    const answer = getAnswerFromOutput(event.output);
+    return answer.length > streamedText.length ? answer.slice(streamedText.length) : '';
+  }
+  return '';
+}
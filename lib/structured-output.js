@@ -0,0 +1,145 @@
+/**
+ * Structured Output Module
+ * JSON answers on top of You.com agents: format instructions are added to the input, the
+ * answer is parsed and validated, and invalid answers are sent back for repair a bounded
+ * number of times (YDC_STRUCTURED_OUTPUT_RETRIES, default 2)
+ */
+
+import { validateJsonSchema, checkJsonSchema } from './json-schema.js';
+
+const MAX_REPAIRS = Number.isNaN(parseInt(process.env.YDC_STRUCTURED_OUTPUT_RETRIES))
+  ? 2
+  : parseInt(process.env.YDC_STRUCTURED_OUTPUT_RETRIES);
+
+/**
+ * Raised when the answer is still not valid JSON for the format after every repair
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { errors = [], attempts = 1, output = '' } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.attempts = attempts;
+    this.output = output;
+  }
+}
+
+/**
+ * Normalize an OpenAI `response_format` into { type, name, schema } or null for plain text
+ * Throws on malformed values so routes can answer 400.
+ */
+export function parseResponseFormat(responseFormat) {
+  if (responseFormat === undefined || responseFormat === null) return null;
+  const type = responseFormat?.type;
+
+  if (type === 'text') return null;
+  if (type === 'json_object') return { type, name: null, schema: null };
+  if (type === 'json_schema') {
+    const { name = 'response', schema } = responseFormat.json_schema || {};
+    if (!schema || typeof schema !== 'object') {
+      throw new Error('response_format.json_schema.schema must be a JSON Schema object');
+    }
+    // Broken patterns or $refs would otherwise only fail when the answer is validated
+    const problems = checkJsonSchema(schema);
+    if (problems.length > 0) {
+      throw new Error(`Invalid response_format.json_schema.schema: ${problems[0]}`);
+    }
+    return { type, name, schema };
+  }
+  throw new Error(`Unsupported response_format type: ${type}. Use text, json_object or json_schema`);
+}
+
+/**
+ * Instructions appended to the agent input
+ */
+export function buildFormatInstructions(format) {
+  if (!format) return '';
+  const lines = ['[Output Format]', 'Reply with ONLY a single valid JSON value: no prose, no explanations, no Markdown code fences.'];
+  if (format.schema) {
+    lines.push(`The JSON must conform to this JSON Schema${format.name ? ` ("${format.name}")` : ''}:`, JSON.stringify(format.schema));
+  } else {
+    lines.push('The JSON must be an object.');
+  }
+  return `\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Pull the JSON value out of an answer (tolerates code fences and text around one object)
+ */
+export function extractJson(text) {
+  let candidate = (text || '').trim();
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced) candidate = fenced[1];
+
+  try {
+    return { ok: true, value: JSON.parse(candidate) };
+  } catch (error) {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return { ok: true, value: JSON.parse(candidate.slice(start, end + 1)) };
+      } catch {
+        // Fall through to the original parse error
+      }
+    }
+    return { ok: false, error: `Invalid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Check an answer against the format
+ * @returns {{ valid: boolean, value?: any, text?: string, errors: string[] }}
+ */
+export function checkStructuredOutput(text, format) {
+  const parsed = extractJson(text);
+  if (!parsed.ok) return { valid: false, errors: [parsed.error] };
+
+  const isObject = parsed.value !== null && typeof parsed.value === 'object' && !Array.isArray(parsed.value);
+  const errors = format.schema
+    ? validateJsonSchema(format.schema, parsed.value)
+    : isObject ? [] : ['$: expected a JSON object'];
+  return errors.length
+    ? { valid: false, value: parsed.value, errors }
+    : { valid: true, value: parsed.value, text: JSON.stringify(parsed.value), errors };
+}
+
+function buildRepairInput(input, answer, errors) {
+  return `${input}\n\n[Previous Answer]\n${answer}\n\n[Validation Errors]\n${errors.map(error => `- ${error}`).join('\n')}` +
+    '\n\nYour previous answer was not valid for the required output format. Reply again with ONLY the corrected JSON.';
+}
+
+/**
+ * Run an agent until it returns JSON valid for `format`
+ * @param {object} options
+ * @param {string} options.input - agent input, already ending with buildFormatInstructions(format)
+ * @param {object} options.format - from parseResponseFormat
+ * @param {(input: string) => Promise<string>} options.run - one agent call, resolving to the answer text
+ * @param {(answer: string) => boolean} options.accept - answers returned as-is without validation (e.g. tool calls)
+ * @param {number} options.maxRepairs - repair attempts after the first answer
+ * @returns {Promise<{ text: string, value: any, attempts: number }>}
+ */
+export async function generateStructuredOutput({ input, format, run, accept = () => false, maxRepairs = MAX_REPAIRS }) {
+  let currentInput = input;
+  let result = null;
+  let answer = '';
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    answer = await run(currentInput);
+    if (accept(answer)) return { text: answer, value: undefined, attempts: attempt };
+    result = checkStructuredOutput(answer, format);
+    if (result.valid) return { text: result.text, value: result.value, attempts: attempt };
+
+    console.log(`⚠️ Structured output attempt ${attempt} invalid: ${result.errors.slice(0, 3).join('; ')}`);
+    currentInput = buildRepairInput(input, answer, result.errors);
+  }
+
+  throw new StructuredOutputError(
+    `Model output did not match the ${format.schema ? `"${format.name}" JSON schema` : 'JSON object format'} after ${maxRepairs + 1} attempts: ${result.errors.slice(0, 5).join('; ')}`,
+    { errors: result.errors, attempts: maxRepairs + 1, output: answer }
+  );
+}
+
+export const structuredOutputConfig = {
+  MAX_REPAIRS
+};
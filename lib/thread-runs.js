@@ -0,0 +1,243 @@
+/**
+ * Thread Runs Module
+ * Background runs for the Assistants-style threads API: a run answers the messages of a
+ * thread (a conversation) with an assistant's model and instructions, appends the reply
+ * to the thread and reports its progress through status fields and events
+ *
+ * Runs live in memory for RUN_TTL after they finish; threads and messages are in the
+ * conversation store.
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import { mapOpenAIToYouParams } from './openai-mapper.js';
+import { OutputLimiter, STOP_REASONS } from './output-limits.js';
+import { countTokens } from './token-counter.js';
+import { getKeyPool } from './key-pool.js';
+import { parseYouStream, getAnswerIncrement, STREAM_EVENTS } from './stream-parser.js';
+import { getConversation, addMessageToConversation } from './conversation-store.js';
+
+const keyPool = getKeyPool();
+
+const RUN_TTL = 24 * 60 * 60 * 1000;
+export const ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'cancelling'];
+
+const runs = new Map();
+
+export function generateObjectId(prefix) {
+  return `${prefix}_${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Thread message object from a stored conversation message
+ */
+export function toThreadMessage(threadId, message) {
+  const metadata = message.metadata || {};
+  return {
+    id: metadata.id,
+    object: 'thread.message',
+    created_at: Math.floor(message.timestamp / 1000),
+    thread_id: threadId,
+    status: metadata.status || 'completed',
+    role: message.role,
+    content: [{ type: 'text', text: { value: message.content, annotations: [] } }],
+    assistant_id: metadata.assistant_id || null,
+    run_id: metadata.run_id || null,
+    attachments: [],
+    metadata: metadata.metadata || {}
+  };
+}
+
+/**
+ * Active run of a thread, if any (a thread runs one run at a time)
+ */
+export function getActiveRun(threadId) {
+  return [...runs.values()].find(entry => entry.run.thread_id === threadId && ACTIVE_RUN_STATUSES.includes(entry.run.status)) || null;
+}
+
+export function getRun(threadId, runId) {
+  const entry = runs.get(runId);
+  return entry && entry.run.thread_id === threadId ? entry : null;
+}
+
+/**
+ * Runs of a thread, oldest first
+ */
+export function listRuns(threadId) {
+  return [...runs.values()].filter(entry => entry.run.thread_id === threadId).map(entry => entry.run);
+}
+
+/**
+ * Register a queued run; start it with startRun once event listeners are attached
+ * @param {object} options
+ * @param {string} options.threadId
+ * @param {object} options.assistant - stored assistant
+ * @param {object} options.body - run request body (model, instructions, additional_instructions, ...)
+ * @param {object} options.usage - from startBackgroundUsage
+ */
+export function createRun({ threadId, assistant, body, usage }) {
+  const run = {
+    id: generateObjectId('run'),
+    object: 'thread.run',
+    created_at: Math.floor(Date.now() / 1000),
+    thread_id: threadId,
+    assistant_id: assistant.id,
+    status: 'queued',
+    started_at: null,
+    cancelled_at: null,
+    failed_at: null,
+    completed_at: null,
+    last_error: null,
+    incomplete_details: null,
+    required_action: null,
+    model: body.model || assistant.model,
+    instructions: body.instructions ?? assistant.instructions ?? null,
+    additional_instructions: body.additional_instructions ?? null,
+    tools: assistant.tools || [],
+    temperature: body.temperature ?? assistant.temperature ?? null,
+    max_completion_tokens: body.max_completion_tokens ?? null,
+    metadata: body.metadata || {},
+    usage: null
+  };
+  const entry = { run, usage, controller: new AbortController(), events: new EventEmitter(), finishedAt: null };
+  runs.set(run.id, entry);
+  return entry;
+}
+
+function emit(entry, event, data) {
+  entry.events.emit('event', event, data);
+}
+
+function setStatus(entry, status, fields = {}) {
+  Object.assign(entry.run, { status, ...fields });
+  emit(entry, `thread.run.${status}`, entry.run);
+}
+
+/**
+ * Execute a queued run in the background (never rejects)
+ * @param {Function} [onDone] - called once the run has ended, however it ended
+ */
+export function startRun(entry, onDone = null) {
+  executeRun(entry).catch(error => {
+    console.error('❌ Run error:', error);
+  }).finally(() => onDone?.());
+}
+
+async function executeRun(entry) {
+  const { run, usage, controller } = entry;
+  const now = () => Math.floor(Date.now() / 1000);
+  const conv = getConversation(run.thread_id);
+  const instructions = [run.instructions, run.additional_instructions].filter(Boolean).join('\n\n');
+  const messages = (conv?.messages || [])
+    .filter(m => m.role === 'user' || m.role === 'assistant')
+    .map(m => ({ role: m.role, content: m.content }));
+
+  setStatus(entry, 'in_progress', { started_at: now() });
+
+  const limiter = new OutputLimiter({ maxTokens: run.max_completion_tokens });
+  const message = {
+    role: 'assistant',
+    content: '',
+    timestamp: Date.now(),
+    metadata: { id: generateObjectId('msg'), assistant_id: run.assistant_id, run_id: run.id, status: 'in_progress' }
+  };
+  let content = '';
+  let error = null;
+
+  try {
+    const youParams = mapOpenAIToYouParams({
+      model: run.model,
+      messages: instructions ? [{ role: 'system', content: instructions }, ...messages] : messages,
+      ...(run.temperature !== null && { temperature: run.temperature })
+    });
+    Object.assign(usage.usage, {
+      model: run.model,
+      agent: youParams.agent,
+      input_chars: youParams.input?.length || 0,
+      prompt_tokens: countTokens(youParams.input)
+    });
+
+    const timeout = youParams.timeout || (youParams.agent === 'advanced' ? 3000000 : 300000);
+    const response = await keyPool.call({ ...youParams, stream: true }, { timeout, signal: controller.signal, ...usage.keyOptions });
+    emit(entry, 'thread.message.created', toThreadMessage(run.thread_id, message));
+    emit(entry, 'thread.message.in_progress', toThreadMessage(run.thread_id, message));
+
+    for await (const event of parseYouStream(response.body)) {
+      if (event.type === STREAM_EVENTS.ERROR) throw new Error(event.message);
+      const text = getAnswerIncrement(event, content);
+      if (!text) continue;
+      content += text;
+      const visible = limiter.push(text);
+      if (visible) {
+        emit(entry, 'thread.message.delta', {
+          id: message.metadata.id,
+          object: 'thread.message.delta',
+          delta: { content: [{ index: 0, type: 'text', text: { value: visible, annotations: [] } }] }
+        });
+      }
+      // Limit reached: leaving the loop cancels the upstream stream
+      if (limiter.done) break;
+    }
+    const rest = limiter.finish();
+    if (rest) {
+      emit(entry, 'thread.message.delta', {
+        id: message.metadata.id,
+        object: 'thread.message.delta',
+        delta: { content: [{ index: 0, type: 'text', text: { value: rest, annotations: [] } }] }
+      });
+    }
+  } catch (runError) {
+    error = runError;
+  }
+
+  const cancelled = controller.signal.aborted;
+  const incomplete = limiter.reason === STOP_REASONS.MAX_TOKENS;
+  message.content = limiter.output;
+  message.metadata.status = error || incomplete ? 'incomplete' : 'completed';
+  // Nothing to keep for a failed run without output, or when the thread was deleted meanwhile
+  if ((message.content || !error) && getConversation(run.thread_id)) {
+    addMessageToConversation(run.thread_id, 'assistant', message.content, message.metadata);
+    emit(entry, `thread.message.${message.metadata.status}`, toThreadMessage(run.thread_id, message));
+  }
+
+  usage.usage.output_chars = message.content.length;
+  usage.usage.completion_tokens = countTokens(message.content);
+  run.usage = {
+    prompt_tokens: usage.usage.prompt_tokens,
+    completion_tokens: usage.usage.completion_tokens,
+    total_tokens: usage.usage.prompt_tokens + usage.usage.completion_tokens
+  };
+
+  if (cancelled) {
+    setStatus(entry, 'cancelled', { cancelled_at: now() });
+  } else if (error) {
+    console.error('❌ Run failed:', error.message);
+    setStatus(entry, 'failed', { failed_at: now(), last_error: { code: 'server_error', message: error.message } });
+  } else if (incomplete) {
+    setStatus(entry, 'incomplete', { completed_at: now(), incomplete_details: { reason: 'max_completion_tokens' } });
+  } else {
+    setStatus(entry, 'completed', { completed_at: now() });
+  }
+  usage.finish(cancelled ? 'cancelled' : error ? 'error' : 'ok');
+  entry.finishedAt = Date.now();
+  emit(entry, 'done', '[DONE]');
+}
+
+/**
+ * Ask a run to stop; queued and in-progress runs end as cancelled
+ * @returns {boolean} false when the run has already finished
+ */
+export function cancelRun(entry) {
+  if (!ACTIVE_RUN_STATUSES.includes(entry.run.status)) return false;
+  if (entry.run.status !== 'cancelling') setStatus(entry, 'cancelling');
+  entry.controller.abort();
+  return true;
+}
+
+// Forget finished runs after RUN_TTL
+setInterval(() => {
+  const expireTime = Date.now() - RUN_TTL;
+  for (const [id, entry] of runs.entries()) {
+    if (entry.finishedAt && entry.finishedAt < expireTime) runs.delete(id);
+  }
+}, 60 * 60 * 1000).unref();
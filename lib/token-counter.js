@@ -0,0 +1,70 @@
+/**
+ * Token Counter Module
+ * Deterministic local token estimates for usage reporting and max_tokens. Text is split
+ * with a GPT-style pre-tokenizer pattern (words with their leading space, digit groups of
+ * up to 3, punctuation runs, whitespace) and each piece is charged like a BPE vocabulary
+ * would: short English words are one token, longer or non-Latin words are split, and
+ * CJK characters are one token each
+ */
+
+// One CJK character per piece; otherwise pieces follow the cl100k pre-tokenizer
+const PIECE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|'(?:[sdmt]|ll|ve|re)| ?[\p{L}\p{M}]+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+// Characters per token, by piece kind
+const CHARS_PER_TOKEN = {
+  word: 6,
+  foreignWord: 3,
+  punctuation: 3,
+  whitespace: 8
+};
+
+const CJK_PATTERN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]$/u;
+
+function charsPerToken(piece) {
+  if (/^ ?[A-Za-z]+$/.test(piece)) return CHARS_PER_TOKEN.word;
+  if (/^ ?[\p{L}\p{M}]+$/u.test(piece)) return CHARS_PER_TOKEN.foreignWord;
+  if (/^\s+$/.test(piece)) return CHARS_PER_TOKEN.whitespace;
+  return CHARS_PER_TOKEN.punctuation;
+}
+
+function pieceTokens(piece) {
+  if (CJK_PATTERN.test(piece) || /^ ?\p{N}+$/u.test(piece)) return 1;
+  return Math.ceil(piece.length / charsPerToken(piece));
+}
+
+/**
+ * Estimated token count of a text
+ */
+export function countTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PIECE_PATTERN)) tokens += pieceTokens(piece);
+  return tokens;
+}
+
+/**
+ * Pre-tokenizer pieces of a text with their estimated token cost, in order (for callers
+ * that count a growing text incrementally)
+ * @returns {{ text: string, tokens: number }[]}
+ */
+export function tokenPieces(text) {
+  return Array.from(String(text).matchAll(PIECE_PATTERN), ([piece]) => ({ text: piece, tokens: pieceTokens(piece) }));
+}
+
+/**
+ * Longest prefix of `text` that fits in `maxTokens` (a piece that does not fit whole is
+ * cut in proportion to its cost)
+ */
+export function truncateToTokens(text, maxTokens) {
+  let tokens = 0;
+  let length = 0;
+  for (const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+    const cost = pieceTokens(piece);
+    if (tokens + cost > maxTokens) {
+      return text.slice(0, length + Math.floor(piece.length * (maxTokens - tokens) / cost));
+    }
+    tokens += cost;
+    length += piece.length;
+  }
+  return text;
+}
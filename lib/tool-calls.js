@@ -0,0 +1,131 @@
+/**
+ * Tool Calls Module
+ * Emulates OpenAI function calling on top of You.com agents: function schemas are
+ * described in the prompt, and a reply that is only a {"tool_calls": [...]} JSON object
+ * is turned back into OpenAI tool_calls
+ */
+
+import { randomBytes } from 'crypto';
+
+/**
+ * OpenAI function tools from a request's `tools`, honoring `tool_choice`
+ * ('none' disables them, { type: 'function', function: { name } } keeps only that one)
+ * @returns {{ tools: object[], required: boolean }}
+ */
+export function getFunctionTools(tools = [], toolChoice = 'auto') {
+  const functionTools = (Array.isArray(tools) ? tools : [])
+    .filter(tool => tool?.type === 'function' && tool.function?.name);
+  if (toolChoice === 'none') return { tools: [], required: false };
+
+  if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+    return { tools: functionTools.filter(tool => tool.function.name === toolChoice.function.name), required: true };
+  }
+  return { tools: functionTools, required: toolChoice === 'required' };
+}
+
+/**
+ * You.com tool configs (research, compute, ...) from a request's `tools`
+ */
+export function getYouTools(tools = []) {
+  return (Array.isArray(tools) ? tools : []).filter(tool => tool?.type && tool.type !== 'function');
+}
+
+/**
+ * Prompt section describing the callable functions and the reply format
+ */
+export function buildToolPrompt(functionTools, { required = false, parallel = true } = {}) {
+  if (!functionTools.length) return '';
+
+  const descriptions = functionTools.map(({ function: fn }) => {
+    const lines = [`- ${fn.name}${fn.description ? `: ${fn.description}` : ''}`];
+    if (fn.parameters) lines.push(`  Parameters (JSON Schema): ${JSON.stringify(fn.parameters)}`);
+    return lines.join('\n');
+  });
+
+  const rules = [
+    'To call functions, reply with ONLY this JSON object and no other text:',
+    '{"tool_calls": [{"name": "<function name>", "arguments": {<arguments matching the schema>}}]}',
+    required
+      ? 'You must call a function in this reply.'
+      : 'If no function is needed, answer normally in plain text.',
+    parallel ? 'You may call several functions at once.' : 'Call at most one function per reply.',
+    'Function results will be sent back to you as "Function result" messages.'
+  ];
+
+  return `[Available Functions]\n${descriptions.join('\n')}\n\n${rules.join('\n')}\n\n`;
+}
+
+/**
+ * Tool result messages at the end of a message list (a follow-up to a tool call reply)
+ */
+export function getTrailingToolMessages(messages) {
+  const trailing = [];
+  for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) trailing.unshift(messages[i]);
+  return trailing;
+}
+
+/**
+ * Render an assistant message that called tools, in the same format the model replies with
+ */
+export function formatToolCallsForPrompt(toolCalls) {
+  return JSON.stringify({
+    tool_calls: toolCalls.map(call => ({ name: call.function?.name, arguments: parseArguments(call.function?.arguments) }))
+  });
+}
+
+function parseArguments(args) {
+  if (typeof args !== 'string') return args ?? {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * Whether streamed text so far could still be the start of a tool call reply
+ * (used to hold back deltas until the reply is known to be plain text)
+ */
+export function mayBeToolCall(text) {
+  const trimmed = text.trimStart();
+  return trimmed === '' || trimmed.startsWith('{') || '```'.startsWith(trimmed.slice(0, 3));
+}
+
+function generateToolCallId() {
+  return `call_${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Parse a complete reply into OpenAI tool_calls, or null when it is plain text
+ * Calls to functions that were not offered make the whole reply plain text.
+ */
+export function parseToolCalls(text, functionTools) {
+  if (!text || !functionTools.length) return null;
+
+  let json = text.trim();
+  const fenced = json.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  if (fenced) json = fenced[1];
+  if (!json.startsWith('{') || !json.endsWith('}')) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+
+  const calls = Array.isArray(parsed.tool_calls) ? parsed.tool_calls : parsed.name ? [parsed] : null;
+  if (!calls?.length) return null;
+
+  const names = new Set(functionTools.map(tool => tool.function.name));
+  if (!calls.every(call => names.has(call?.name))) return null;
+
+  return calls.map(call => ({
+    id: generateToolCallId(),
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {})
+    }
+  }));
+}
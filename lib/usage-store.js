@@ -0,0 +1,213 @@
+/**
+ * Usage Store Module
+ * One row per completion served by the HTTP server (client, model, agent, stream flag,
+ * latency, input/output characters and tokens, upstream key and outcome), persisted with sql.js
+ *
+ * Only the HTTP server writes here, so the DB is kept in memory and exported to disk
+ * with a debounce like the conversation store. Rows older than YDC_USAGE_RETENTION_DAYS
+ * are dropped hourly.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_DB_PATH = process.env.YDC_USAGE_DB_PATH ||
+  join(process.env.YDC_CONVERSATION_DB_PATH ? dirname(process.env.YDC_CONVERSATION_DB_PATH) : join(__dirname, '..'), 'usage.db');
+const RETENTION_DAYS = parseInt(process.env.YDC_USAGE_RETENTION_DAYS) || 90;
+const SAVE_DELAY = 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+export const USAGE_GROUPS = ['day', 'client', 'model', 'agent', 'endpoint'];
+const COLUMNS = ['created_at', 'day', 'client', 'endpoint', 'model', 'agent', 'stream', 'latency_ms',
+  'input_chars', 'output_chars', 'prompt_tokens', 'completion_tokens', 'key_index', 'key_id', 'status', 'http_status'];
+
+export class UsageStore {
+  constructor() {
+    this.db = null;
+    this.dbPath = null;
+    this.saveTimeout = null;
+  }
+
+  get persistent() {
+    return !!this.db && !!this.dbPath;
+  }
+
+  /**
+   * Load sql.js and the usage DB (in memory only when dbPath is null); recording is
+   * disabled if sql.js fails to load
+   */
+  async open(dbPath = DEFAULT_DB_PATH) {
+    try {
+      const initSqlJs = (await import('sql.js')).default;
+      const SQL = await initSqlJs();
+      this.dbPath = dbPath;
+      if (dbPath && existsSync(dbPath)) {
+        try {
+          this.db = new SQL.Database(readFileSync(dbPath));
+        } catch (error) {
+          console.error('⚠️ Failed to load usage database, creating new one:', error.message);
+        }
+      }
+      this.db = this.db || new SQL.Database();
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS completions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          created_at INTEGER NOT NULL,
+          day TEXT NOT NULL,
+          client TEXT NOT NULL,
+          endpoint TEXT NOT NULL,
+          model TEXT,
+          agent TEXT,
+          stream INTEGER NOT NULL DEFAULT 0,
+          latency_ms INTEGER NOT NULL DEFAULT 0,
+          input_chars INTEGER NOT NULL DEFAULT 0,
+          output_chars INTEGER NOT NULL DEFAULT 0,
+          key_index INTEGER,
+          key_id TEXT,
+          status TEXT NOT NULL,
+          http_status INTEGER,
+          prompt_tokens INTEGER NOT NULL DEFAULT 0,
+          completion_tokens INTEGER NOT NULL DEFAULT 0
+        )
+      `);
+      // Migrate databases created before token counts were recorded (old rows count 0)
+      const columns = this.db.exec('PRAGMA table_info(completions)');
+      if (columns.length && !columns[0].values.some(row => row[1] === 'prompt_tokens')) {
+        this.db.run('ALTER TABLE completions ADD COLUMN prompt_tokens INTEGER NOT NULL DEFAULT 0');
+        this.db.run('ALTER TABLE completions ADD COLUMN completion_tokens INTEGER NOT NULL DEFAULT 0');
+      }
+      this.db.run('CREATE INDEX IF NOT EXISTS idx_completions_day ON completions(day)');
+      this.db.run('CREATE INDEX IF NOT EXISTS idx_completions_client ON completions(client)');
+      this.cleanup();
+
+      setInterval(() => this.cleanup(), 60 * 60 * 1000).unref();
+      process.once('exit', () => this.save());
+    } catch (error) {
+      console.error('⚠️ Failed to open usage database, usage accounting disabled:', error.message);
+      this.db = null;
+    }
+    return this;
+  }
+
+  /**
+   * Record one completion
+   * @param {object} entry - fields named like the completions columns (created_at and day default to now)
+   */
+  record(entry) {
+    if (!this.db) return;
+    const createdAt = entry.created_at || Date.now();
+    const row = {
+      ...entry,
+      created_at: createdAt,
+      day: new Date(createdAt).toISOString().slice(0, 10),
+      stream: entry.stream ? 1 : 0
+    };
+    try {
+      this.db.run(`INSERT INTO completions (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`,
+        COLUMNS.map(column => row[column] ?? null));
+      this.scheduleSave();
+    } catch (error) {
+      console.error('⚠️ Failed to record usage:', error.message);
+    }
+  }
+
+  scheduleSave() {
+    if (!this.dbPath || this.saveTimeout) return;
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, SAVE_DELAY);
+    this.saveTimeout.unref?.();
+  }
+
+  save() {
+    if (!this.db || !this.dbPath) return;
+    try {
+      writeFileSync(this.dbPath, Buffer.from(this.db.export()));
+    } catch (error) {
+      console.error('⚠️ Failed to save usage database:', error.message);
+    }
+  }
+
+  cleanup() {
+    if (!this.db) return;
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY).toISOString().slice(0, 10);
+    this.db.run('DELETE FROM completions WHERE day < ?', [cutoff]);
+    if (this.db.getRowsModified() > 0) this.scheduleSave();
+  }
+
+  /**
+   * Aggregate completions between two days (inclusive)
+   * @param {object} options
+   * @param {string} options.from - first day (YYYY-MM-DD)
+   * @param {string} options.to - last day (YYYY-MM-DD)
+   * @param {string[]} options.groupBy - columns from USAGE_GROUPS
+   * @param {string|null} options.client - only this client's completions
+   */
+  summarize({ from, to, groupBy = ['day'], client = null }) {
+    if (!this.db) return [];
+    const groups = groupBy.filter(group => USAGE_GROUPS.includes(group));
+    const where = ['day >= ?', 'day <= ?'];
+    const params = [from, to];
+    if (client !== null) {
+      where.push('client = ?');
+      params.push(client);
+    }
+
+    const result = this.db.exec(`
+      SELECT ${groups.map(group => `${group}, `).join('')}
+        COUNT(*), SUM(status != 'ok'), SUM(stream), SUM(input_chars), SUM(output_chars),
+        SUM(prompt_tokens), SUM(completion_tokens), ROUND(AVG(latency_ms))
+      FROM completions
+      WHERE ${where.join(' AND ')}
+      ${groups.length ? `GROUP BY ${groups.join(', ')} ORDER BY ${groups.map(group => group === 'day' ? 'day DESC' : group).join(', ')}` : ''}
+    `, params);
+    if (!result.length) return [];
+
+    return result[0].values
+      .filter(values => values[groups.length] > 0)
+      .map(values => {
+        const row = {};
+        groups.forEach((group, i) => { row[group] = values[i]; });
+        const [requests, errors, streamRequests, inputChars, outputChars, promptTokens, completionTokens, avgLatency] = values.slice(groups.length);
+        return {
+          ...row,
+          requests,
+          errors,
+          stream_requests: streamRequests,
+          input_chars: inputChars,
+          output_chars: outputChars,
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          avg_latency_ms: avgLatency
+        };
+      });
+  }
+}
+
+let usageStore = null;
+
+/**
+ * Shared usage store (open it with openUsageStore before recording)
+ */
+export function getUsageStore() {
+  if (!usageStore) usageStore = new UsageStore();
+  return usageStore;
+}
+
+/**
+ * Open the shared usage store (not written to disk when YDC_CONVERSATION_STORE=memory)
+ */
+export async function openUsageStore(options = {}) {
+  const { dbPath = DEFAULT_DB_PATH, storeType = process.env.YDC_CONVERSATION_STORE || 'sqlite' } = options;
+  return getUsageStore().open(storeType === 'memory' ? null : dbPath);
+}
+
+export const usageConfig = {
+  DB_PATH: DEFAULT_DB_PATH,
+  RETENTION_DAYS
+};
@@ -0,0 +1,90 @@
+/**
+ * Usage Tracker Module
+ * Middleware that records every completion request in the usage store once its response
+ * has ended; routes fill in res.locals.usage (agent, characters, tokens, outcome) as they go
+ */
+
+import { getUsageStore } from './usage-store.js';
+import { getKeyPool } from './key-pool.js';
+
+const usageStore = getUsageStore();
+const keyPool = getKeyPool();
+
+function createUsage(req) {
+  return {
+    model: req.body?.model || null,
+    agent: null,
+    stream: !!req.body?.stream,
+    input_chars: 0,
+    output_chars: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    key_index: null,
+    key_id: null,
+    // 'ok', 'error' or 'cancelled'; derived from the response when a route leaves it unset
+    status: null
+  };
+}
+
+function keyOptionsFor(usage) {
+  const noteKey = (key) => {
+    usage.key_index = keyPool.keys.indexOf(key);
+    usage.key_id = keyPool.stats.get(key)?.id || null;
+  };
+  return { onKeySuccess: noteKey, onKeyError: noteKey };
+}
+
+/**
+ * Usage tracking middleware (use after authenticate so rows carry the client identity)
+ * @param {string} endpoint - endpoint name stored with each row
+ */
+export function trackUsage(endpoint) {
+  return (req, res, next) => {
+    const startTime = Date.now();
+    const usage = res.locals.usage = createUsage(req);
+
+    res.once('close', () => {
+      usageStore.record({
+        ...usage,
+        created_at: startTime,
+        client: req.client?.id || 'anonymous',
+        endpoint,
+        latency_ms: Date.now() - startTime,
+        status: usage.status || (!res.writableFinished ? 'cancelled' : res.statusCode < 400 ? 'ok' : 'error'),
+        http_status: res.statusCode
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * keyPool.call options that note which upstream key served the request
+ */
+export function usageKeyOptions(res) {
+  if (!res.locals.usage) return {};
+  return keyOptionsFor(res.locals.usage);
+}
+
+/**
+ * Usage record for work that outlives its request (background runs): fill in `usage`,
+ * pass `keyOptions` to keyPool.call and call finish(status) once the work is over
+ */
+export function startBackgroundUsage(req, endpoint) {
+  const startTime = Date.now();
+  const usage = createUsage(req);
+  const client = req.client?.id || 'anonymous';
+  return {
+    usage,
+    keyOptions: keyOptionsFor(usage),
+    finish: (status) => usageStore.record({
+      ...usage,
+      created_at: startTime,
+      client,
+      endpoint,
+      latency_ms: Date.now() - startTime,
+      status,
+      http_status: null
+    })
+  };
+}
@@ -16,15 +16,28 @@ import modelsRoutes from './lib/routes/models.js';
 import conversationsRoutes from './lib/routes/conversations.js';
 import healthRoutes from './lib/routes/health.js';
 import anthropicRoutes from './lib/routes/anthropic-messages.js';
+import keysRoutes from './lib/routes/keys.js';
+import usageRoutes from './lib/routes/usage.js';
+import responsesRoutes from './lib/routes/responses.js';
+import completionsRoutes from './lib/routes/completions.js';
+import assistantsRoutes from './lib/routes/assistants.js';
+import filesRoutes from './lib/routes/files.js';
+import batchesRoutes from './lib/routes/batches.js';
 
 // Import config
 import { storeConfig, initDatabase } from './lib/conversation-store.js';
 import { authConfig } from './lib/auth-middleware.js';
 import { listAdvancedVersions, getDefaultAdvancedVersion } from './lib/advanced-versions.js';
+import { getKeyPool } from './lib/key-pool.js';
+import { openKeyUsageStore } from './lib/key-usage-store.js';
+import { openUsageStore } from './lib/usage-store.js';
+import { openBatchStore } from './lib/batch-store.js';
+import { resumeBatches } from './lib/batch-runner.js';
+import { parseByteSize, notFoundHandler, errorHandler } from './lib/request-validation.js';
 
 const app = express();
 const startPort = parseInt(process.env.YDC_OPENAI_PORT) || 3002;
-const API_KEY = process.env.YDC_API_KEY;
+const keyPool = getKeyPool();
 
 // Function to find available port
 async function findAvailablePort(startPort, maxAttempts = 10) {
@@ -50,7 +63,7 @@ async function findAvailablePort(startPort, maxAttempts = 10) {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: parseByteSize(process.env.YDC_BODY_LIMIT) }));
 
 // Routes
 app.use(chatRoutes);
@@ -58,12 +71,27 @@ app.use(modelsRoutes);
 app.use(conversationsRoutes);
 app.use(healthRoutes);
 app.use(anthropicRoutes);
+app.use(keysRoutes);
+app.use(usageRoutes);
+app.use(responsesRoutes);
+app.use(completionsRoutes);
+app.use(assistantsRoutes);
+app.use(filesRoutes);
+app.use(batchesRoutes);
+
+// Errors: unknown URLs, invalid or oversized JSON bodies, uncaught route errors
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Start server with auto port detection
 async function startServer() {
   try {
     // Initialize database (handles missing better-sqlite3 gracefully)
     await initDatabase();
+    keyPool.setUsageStore(await openKeyUsageStore());
+    await openUsageStore();
+    await openBatchStore();
+    const resumedBatches = resumeBatches();
     
     const port = await findAvailablePort(startPort);
     app.set('port', port);
@@ -71,16 +99,24 @@ async function startServer() {
     app.listen(port, () => {
       console.log(`🚀 You.com OpenAI-Compatible Server running on port ${port}`);
       console.log(`📋 Base URL: http://localhost:${port}`);
-      console.log(`🔑 YDC API Key configured: ${!!API_KEY}`);
+      console.log(`🔑 YDC API Keys: ${keyPool.size} (${keyPool.mode})`);
       console.log(`📦 Conversation Store: ${storeConfig.STORE_TYPE}${storeConfig.STORE_TYPE === 'sqlite' && storeConfig.isDbConnected() ? ` (${storeConfig.DB_PATH})` : ''}`);
+      if (resumedBatches > 0) console.log(`📦 Batches: resumed ${resumedBatches} unfinished batch(es)`);
       console.log(`🔐 Token Auth: ${authConfig.REQUIRE_TOKEN_AUTH ? `enabled (${authConfig.ACCESS_TOKENS_COUNT} tokens)` : 'disabled (accept all)'}`);
       console.log(`\n📖 Endpoints:`);
       console.log(`   POST http://localhost:${port}/v1/chat/completions  (OpenAI)`);
       console.log(`   POST http://localhost:${port}/v1/messages          (Anthropic/Claude)`);
+      console.log(`   POST http://localhost:${port}/v1/responses         (OpenAI Responses)`);
+      console.log(`   POST http://localhost:${port}/v1/completions       (OpenAI legacy)`);
       console.log(`   GET  http://localhost:${port}/v1/models`);
       console.log(`   GET  http://localhost:${port}/v1/versions`);
       console.log(`   GET  http://localhost:${port}/health`);
       console.log(`   GET/POST/DELETE http://localhost:${port}/v1/conversations`);
+      console.log(`   GET/POST/DELETE http://localhost:${port}/v1/assistants, /v1/threads  (runs: /v1/threads/:id/runs)`);
+      console.log(`   POST/GET http://localhost:${port}/v1/files, /v1/batches  (batch jobs)`);
+      console.log(`   GET  http://localhost:${port}/v1/keys/usage`);
+      console.log(`   GET  http://localhost:${port}/v1/usage  (JSON or ?format=csv)`);
+      if (authConfig.ADMIN_ENABLED) console.log(`   POST/PUT/DELETE http://localhost:${port}/v1/keys  (admin)`);
       
       try {
         const versions = listAdvancedVersions();